@@ -5,6 +5,7 @@ import subprocess
 import sys
 import threading
 import uuid
+from datetime import datetime, timezone
 from pathlib import Path
 
 from dotenv import load_dotenv
@@ -116,13 +117,57 @@ ORIGINAL_NETWORK   = Path(os.environ["ORIGINAL_NETWORK"])
 OUTPUT_POLYGONS    = Path(os.environ["OUTPUT_POLYGONS"])
 OUTPUT_NETWORK     = Path(os.environ["OUTPUT_NETWORK"])
 
+HISTORY_DIR        = OUTPUT_NETWORK.parent / "network-history"
+
 inference_jobs: dict[str, dict] = {}
 
+
+def _snapshot_network(description: str, source: str) -> None:
+    """Copy OUTPUT_NETWORK into the snapshot folder the editor lists.
+
+    Same layout as the save middleware in vite.config.js: <id>.geojson plus
+    an <id>.json metadata sidecar.
+    """
+    if not OUTPUT_NETWORK.exists():
+        return
+    HISTORY_DIR.mkdir(parents=True, exist_ok=True)
+    created_at = datetime.now(timezone.utc).isoformat(timespec="milliseconds").replace("+00:00", "Z")
+    snap_id = f"{created_at.replace(':', '-').replace('.', '-')}-{source}"
+    text = OUTPUT_NETWORK.read_text(encoding="utf-8")
+    meta = {
+        "id":          snap_id,
+        "createdAt":   created_at,
+        "description": description,
+        "source":      source,
+        "edits":       None,
+        "features":    len(json.loads(text).get("features", [])),
+    }
+    (HISTORY_DIR / f"{snap_id}.geojson").write_text(text, encoding="utf-8")
+    (HISTORY_DIR / f"{snap_id}.json").write_text(json.dumps(meta), encoding="utf-8")
+
+
+def _saves_since(started_at: str) -> int:
+    """Editor saves or reverts recorded in the history after `started_at`."""
+    count = 0
+    for meta_path in HISTORY_DIR.glob("*.json"):
+        try:
+            meta = json.loads(meta_path.read_text(encoding="utf-8"))
+        except (OSError, ValueError):
+            continue
+        if meta.get("source") in ("editor", "revert") and meta.get("createdAt", "") > started_at:
+            count += 1
+    return count
+
+
 def _run_inference(job_id: str, tile_ids: list[str]) -> None:
     print(f"\n[INFERENCE START — job {job_id}]")
     print(f"  Tile count : {len(tile_ids)}")
     print(f"  Tile IDs   : {', '.join(tile_ids[:6])}{'…' if len(tile_ids) > 6 else ''}")
+    started_at = datetime.now(timezone.utc).isoformat(timespec="milliseconds").replace("+00:00", "Z")
     try:
+        if not any(HISTORY_DIR.glob("*.json")):
+            _snapshot_network("Initial network", "baseline")
+
         proc = subprocess.Popen(
             [
                 sys.executable, "-u", str(APPLY_MODEL_SCRIPT),
@@ -155,7 +200,16 @@ def _run_inference(job_id: str, tile_ids: list[str]) -> None:
  
         if proc.returncode == 0:
             print(f"[INFERENCE DONE — job {job_id}]\n")
-            inference_jobs[job_id] = {"status": "done", "message": ""}
+            overwritten = _saves_since(started_at)
+            _snapshot_network(f"Model inference on {len(tile_ids)} tile{'s' if len(tile_ids) != 1 else ''}", "model")
+            message = ""
+            if overwritten:
+                # apply_model.py read the network before these saves landed,
+                # so its output does not contain them.
+                message = (f"{overwritten} network save(s) made during inference were replaced "
+                           "by the model output; they remain in the network history.")
+                print(f"  [inference] {message}")
+            inference_jobs[job_id] = {"status": "done", "message": message}
         else:
             stderr_tail = stderr[-800:] if stderr else ""
             print(f"\n[INFERENCE ERROR — job {job_id}]\nSTDERR:\n{stderr_tail}\n")
@@ -14,7 +14,22 @@ import { useTileSelectorLayer } from "./hooks/useTileSelectorLayer";
 import { TileRow } from "./components/TileRow";
 import { ParallelCoordinateChart } from "./components/ParallelCoordinateChart";
 import { BrushControls } from "./components/BrushControls";
+import { SnapSettings } from "./components/SnapSettings";
+import { ExportMenu } from "./components/ExportMenu";
+import { RestorePrompt } from "./components/RestorePrompt";
+import { SuggestionShapeBar } from "./components/SuggestionShapeBar";
+import { SuggestionValidityPanel } from "./components/SuggestionValidityPanel";
+import { SuggestionHistoryBar } from "./components/SuggestionHistoryBar";
+import { SuggestionOpsBar } from "./components/SuggestionOpsBar";
+import { LoadProgress } from "./components/LoadProgress";
+import { useAutosave, useDraftRestore } from "./hooks/useAutosave";
+import { useTileNetworkLines } from "./hooks/useTileNetworkLines";
+import { useSuggestionHistory } from "./hooks/useSuggestionHistory";
+import { suggestionEntries } from "./utils/importFile";
 import { tileToLngLatBounds } from "./utils/tileUtils";
+import { addHole, addPart, removeRing, withParts } from "./utils/polygonEdit";
+import { splitByLine, subtractRing, unionFeatures } from "./utils/polygonBoolean";
+import { isBlocking, repairFeature, rewindFeature, validateFeature } from "./utils/polygonValidity";
 
 import "./App.css";
 
@@ -30,29 +45,6 @@ function geoToSVGPoints(ring, west, north, geoW, geoH, size) {
   );
 }
 
-function networkPolylines(tile, networkData, size) {
-  if (!networkData?.features) return [];
-  const [west, south, east, north] = tileToLngLatBounds(tile.x, tile.y, tile.z);
-  const geoW = east - west;
-  const geoH = north - south;
-  const lines = [];
-  for (const f of networkData.features) {
-    const segs = f.geometry.type === "LineString"
-      ? [f.geometry.coordinates]
-      : f.geometry.coordinates;
-    for (const ring of segs) {
-      let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-      for (const [lon, lat] of ring) {
-        if (lon < minX) minX = lon; if (lon > maxX) maxX = lon;
-        if (lat < minY) minY = lat; if (lat > maxY) maxY = lat;
-      }
-      if (maxX < west || minX > east || maxY < south || minY > north) continue;
-      lines.push(geoToSVGPoints(ring, west, north, geoW, geoH, size).join(" "));
-    }
-  }
-  return lines;
-}
-
 function suggestionPaths(tile, features, size) {
   if (!features?.length) return [];
   const [west, south, east, north] = tileToLngLatBounds(tile.x, tile.y, tile.z);
@@ -76,8 +68,7 @@ function suggestionPaths(tile, features, size) {
 function MicroCard({ tile, networkData, features, size, selected, onToggle }) {
   const imgUrl = `/tiles/${tile.z}/${tile.x}/${tile.y}.jpg`;
 
-  const netLines  = useMemo(() => networkPolylines(tile, networkData, size),
-    [tile, networkData, size]);
+  const netLines  = useTileNetworkLines(tile, networkData, size);
   const polyPaths = useMemo(() => suggestionPaths(tile, features, size),
     [tile, features, size]);
 
@@ -143,12 +134,44 @@ export default function App() {
   const [selectedKeys,      setSelectedKeys]      = useState(new Set());
   const [editedSuggestions, setEditedSuggestions] = useState(new Map());
   const [isDrawing,         setIsDrawing]         = useState(false);
+  // What a drawn ring becomes: null for a new suggestion, or
+  // { mode: "hole" | "part", key } to extend an existing one.
+  const [drawTarget,        setDrawTarget]        = useState(null);
+  const suggestionHistory = useSuggestionHistory(editedSuggestions, setEditedSuggestions, selectedKeys, setSelectedKeys);
+  const { commit: commitSuggestions, reset: resetSuggestionHistory } = suggestionHistory;
 
-  const resolveFeature = useCallback((key) => {
-    if (editedSuggestions.has(key)) return editedSuggestions.get(key);
+  const originalFeature = useCallback((key) => {
     const [tileId, nStr] = key.split(":");
     return suggestions?.get(tileId)?.get(Number(nStr))?.[0] ?? null;
-  }, [editedSuggestions, suggestions]);
+  }, [suggestions]);
+
+  const resolveFeature = useCallback((key) => {
+    if (editedSuggestions.has(key)) return editedSuggestions.get(key);
+    return originalFeature(key);
+  }, [editedSuggestions, originalFeature]);
+
+  // Entries for new suggestions in `tileId`, one per polygon in `partsList`,
+  // numbered after everything already there and selected.
+  const newSuggestions = useCallback((tileId, source, partsList) => {
+    const taken = [
+      ...(suggestions?.get(tileId)?.keys() ?? []),
+      ...[...editedSuggestions.keys()].filter((k) => k.startsWith(tileId + ":")).map((k) => Number(k.split(":")[1])),
+    ];
+    const first = Math.max(0, ...taken) + 1;
+    return partsList.map((parts, i) => ({
+      key:      `${tileId}:${first + i}`,
+      selected: true,
+      feature:  withParts({
+        type: "Feature",
+        properties: { ...source?.properties, tile_id: tileId, n_suggestion: first + i },
+      }, parts),
+    }));
+  }, [suggestions, editedSuggestions]);
+
+  // The sources make way for the results: deselected, kept as they were.
+  const replaceSuggestions = useCallback((label, sourceKeys, results) => {
+    commitSuggestions(label, [...sourceKeys.map((key) => ({ key, selected: false })), ...results]);
+  }, [commitSuggestions]);
 
   const selectedFeatures = useMemo(() => {
     if (selectedKeys.size === 0) return [];
@@ -168,6 +191,67 @@ export default function App() {
     return m;
   }, [selectedKeys, resolveFeature]);
 
+  // Validity of every selected suggestion, for the map highlight, the
+  // repair panel and the training guard.
+  const suggestionIssues = useMemo(() => {
+    const m = new Map();
+    for (const [key, f] of editingFeaturesMap) {
+      const issues = validateFeature(f);
+      if (issues.length) m.set(key, issues);
+    }
+    return m;
+  }, [editingFeaturesMap]);
+  const invalidKeys = [...suggestionIssues].filter(([, issues]) => isBlocking(issues)).map(([key]) => key);
+
+  const handleRepair = useCallback((keys) => {
+    const repaired = [];
+    const failed = [];
+    for (const key of keys) {
+      const f = editingFeaturesMap.get(key);
+      const fixed = f && repairFeature(f);
+      if (fixed) repaired.push({ key, feature: fixed });
+      else failed.push(key.split(":")[1]);
+    }
+    commitSuggestions(repaired.length > 1 ? "Repair suggestions" : "Repair suggestion", repaired);
+    if (failed.length) {
+      alert(`Suggestion ${failed.join(", ")} has no area left to repair; redraw or deselect it.`);
+    }
+  }, [editingFeaturesMap, commitSuggestions]);
+
+  const drafts = useDraftRestore();
+  const [networkDraft, setNetworkDraft] = useState(null);
+
+  const handleRestoreDrafts = useCallback(() => {
+    const { network, suggestions: saved } = drafts.pending;
+    if (saved) {
+      setEditedSuggestions(new Map(saved.edited));
+      setSelectedKeys(new Set(saved.selected));
+      resetSuggestionHistory();
+    }
+    if (network) setNetworkDraft({ network, base: drafts.pending["network-base"] });
+    drafts.finish();
+  }, [drafts, resetSuggestionHistory]);
+
+  const clearNetworkDraft = useCallback(() => setNetworkDraft(null), []);
+
+  const suggestionsDraftTrigger = useMemo(
+    () => ({ editedSuggestions, selectedKeys }),
+    [editedSuggestions, selectedKeys],
+  );
+  useAutosave("suggestions", suggestionsDraftTrigger, () => {
+    if (editedSuggestions.size === 0 && selectedKeys.size === 0) return null;
+    return { savedAt: Date.now(), edited: editedSuggestions, selected: selectedKeys };
+  }, drafts.ready);
+
+  const handleImportSuggestions = useCallback((fc) => {
+    const taken = (tileId) => [
+      ...(suggestions?.get(tileId)?.keys() ?? []),
+      ...[...editedSuggestions.keys()].filter((k) => k.startsWith(tileId + ":")).map((k) => Number(k.split(":")[1])),
+    ];
+    const entries = suggestionEntries(fc, taken).map(([key, feature]) => ({ key, feature }));
+    commitSuggestions("Import suggestions", entries);
+  }, [suggestions, editedSuggestions, commitSuggestions]);
+
   const reloadNetworkRef = useRef(null);
 
   const handleInferenceDone = useCallback(() => {
@@ -182,7 +266,9 @@ export default function App() {
   const [trainingMessage,  setTrainingMessage]  = useState("");
   const [trainingProgress, setTrainingProgress] = useState({ epoch: 0, total: 200 });
 
-  const handleTrainClick   = useCallback(() => setTrainingPhase("confirming"), []);
+  const handleTrainClick   = useCallback(() => {
+    if (invalidKeys.length === 0) setTrainingPhase("confirming");
+  }, [invalidKeys.length]);
   const handleTrainCancel  = useCallback(() => setTrainingPhase("idle"), []);
   const handleTrainDismiss = useCallback(() => {
     setTrainingPhase("idle");
@@ -192,9 +278,13 @@ export default function App() {
   }, []);
 
   const handleTrainConfirm = useCallback(async () => {
+    if (invalidKeys.length > 0) {
+      setTrainingPhase("idle");
+      return;
+    }
     setTrainingPhase("training");
     setTrainingProgress({ epoch: 0, total: 200 });
-    const fc = { type: "FeatureCollection", features: selectedFeatures };
+    const fc = { type: "FeatureCollection", features: selectedFeatures.map(rewindFeature) };
     try {
       const res = await fetch("/api/train", {
         method:  "POST",
@@ -206,11 +296,12 @@ export default function App() {
       setTrainingJobId(job_id);
       setSelectedKeys(new Set());
       setEditedSuggestions(new Map());
+      resetSuggestionHistory();
     } catch (err) {
       setTrainingPhase("error");
       setTrainingMessage(err.message);
     }
-  }, [selectedFeatures]);
+  }, [selectedFeatures, invalidKeys.length, resetSuggestionHistory]);
 
   useEffect(() => {
     if (trainingPhase !== "training" || !trainingJobId) return;
@@ -239,6 +330,16 @@ export default function App() {
   return (
     <div className="page">
 
+      <LoadProgress />
+
+      {drafts.pending && (
+        <RestorePrompt
+          drafts={drafts.pending}
+          onRestore={handleRestoreDrafts}
+          onDiscard={drafts.discard}
+        />
+      )}
+
       {trainingPhase === "confirming" && (
         <div className="confirmOverlay">
           <div className="confirmCard">
@@ -266,9 +367,13 @@ export default function App() {
         selectedTiles={tileSelector.selectedTiles}
         previewTiles={tileSelector.previewTiles}
         isDrawing={isDrawing}
-        onToggleDraw={() => setIsDrawing((v) => !v)}
+        onToggleDraw={() => { setDrawTarget(null); setIsDrawing((v) => !v); }}
+        autosaveEnabled={drafts.ready}
+        networkDraft={networkDraft}
+        onNetworkDraftRestored={clearNetworkDraft}
+        onImportSuggestions={handleImportSuggestions}
       >
-        {({ bounds, mapZoom, flyToTile, fitToTile, networkData, mapRef, reloadNetwork, dirty, saving, handleSave }) => {
+        {({ bounds, mapZoom, flyToTile, fitToTile, networkData, mapRef, reloadNetwork, dirty, saving, handleSave, networkHistory, networkCheck, networkSnap, networkVersions, networkExport, networkDiff, networkPlanarize }) => {
           reloadNetworkRef.current = reloadNetwork;
 
           const { tiles, viewportTileIds, activeMeta, activeMetaById, viewLevel } = useTiles({
@@ -283,15 +388,11 @@ export default function App() {
               ? dominantTile(tiles, bounds)
               : null;
 
-          const toggleSuggestion = useCallback((tileId, nSuggestion) => {
-            setSelectedKeys((prev) => {
-              const key = `${tileId}:${nSuggestion}`;
-              const next = new Set(prev);
-              if (next.has(key)) next.delete(key);
-              else next.add(key);
-              return next;
-            });
-          }, []);
+          const toggleSuggestion = (tileId, nSuggestion) => {
+            const key = `${tileId}:${nSuggestion}`;
+            const selected = !selectedKeys.has(key);
+            commitSuggestions(selected ? "Select suggestion" : "Deselect suggestion", [{ key, selected }]);
+          };
 
           useTileBorders(mapRef, tiles, focusTile);
 
@@ -311,38 +412,80 @@ export default function App() {
             : null;
 
           useSuggestionLayer(mapRef, focusTileSuggestions?.get(0) ?? null, viewLevel);
-          useSelectedSuggestionsLayer(mapRef, selectedFeatures, viewLevel);
+          useSelectedSuggestionsLayer(mapRef, selectedFeatures, viewLevel, editingFeaturesMap, suggestionIssues);
 
           const handleEditCommit = useCallback((key, updatedFeature) => {
-            setEditedSuggestions((prev) => new Map(prev).set(key, updatedFeature));
-          }, []);
+            commitSuggestions("Edit suggestion", [{ key, feature: updatedFeature }]);
+          }, [commitSuggestions]);
 
-          useSuggestionEditor(
+          const { active: activeRing, setActive: setActiveRing } = useSuggestionEditor(
             mapRef,
             viewLevel === "micro" ? editingFeaturesMap : new Map(),
             handleEditCommit,
           );
+          const shapeKey = activeRing?.featureKey ?? editingFeaturesMap.keys().next().value ?? null;
+
+          const startShapeDraw = (mode) => {
+            setDrawTarget({ mode, key: shapeKey });
+            setIsDrawing(true);
+          };
+
+          const deleteActiveRing = () => {
+            const feature = activeRing && resolveFeature(activeRing.featureKey);
+            const updated = feature && removeRing(feature, activeRing.part, activeRing.ring);
+            if (!updated) return;
+            commitSuggestions(activeRing.ring > 0 ? "Delete hole" : "Delete part", [{ key: activeRing.featureKey, feature: updated }]);
+            setActiveRing(null);
+          };
 
-          const handlePolygonComplete = useCallback((closedRing) => {
+          const cancelDraw = () => {
+            setIsDrawing(false);
+            setDrawTarget(null);
+          };
+
+          // Only suggestions in the edited one's tile merge, since the result
+          // belongs to that tile.
+          const unionTile = shapeKey?.split(":")[0];
+          const unionKeys = [...editingFeaturesMap.keys()].filter((key) => key.split(":")[0] === unionTile);
+
+          const unionSelected = () => {
+            if (unionKeys.length < 2) return;
+            const parts = unionFeatures(unionKeys.map((key) => editingFeaturesMap.get(key)));
+            if (!parts.length) return;
+            replaceSuggestions("Union suggestions", unionKeys, newSuggestions(unionTile, editingFeaturesMap.get(shapeKey), [parts]));
+          };
+
+          // `coords` is a closed ring, or an open line when splitting.
+          const handlePolygonComplete = useCallback((coords) => {
+            if (drawTarget) {
+              const { mode, key } = drawTarget;
+              const feature = resolveFeature(key);
+              const tileId = key.split(":")[0];
+              setDrawTarget(null);
+              setIsDrawing(false);
+              if (!feature) return;
+
+              if (mode === "subtract") {
+                const parts = subtractRing(feature, coords);
+                if (!parts.length) alert("Nothing would be left of the suggestion.");
+                else replaceSuggestions("Subtract from suggestion", [key], newSuggestions(tileId, feature, [parts]));
+              } else if (mode === "split") {
+                const pieces = splitByLine(feature, coords);
+                if (pieces.length < 2) alert("The line has to cross the suggestion from one side to the other.");
+                else replaceSuggestions("Split suggestion", [key], newSuggestions(tileId, feature, pieces.map((p) => [p])));
+              } else {
+                const updated = mode === "hole" ? addHole(feature, coords) : addPart(feature, coords);
+                if (updated) commitSuggestions(mode === "hole" ? "Add hole" : "Add part", [{ key, feature: updated }]);
+                else alert("A hole has to lie inside one of the suggestion's parts.");
+              }
+              return;
+            }
             if (!focusTile) return;
-            const tileId   = focusTile.id;
-            const baseNs   = focusTileSuggestions ? [...focusTileSuggestions.keys()] : [];
-            const editedNs = [...editedSuggestions.keys()]
-              .filter((k) => k.startsWith(tileId + ":"))
-              .map((k) => Number(k.split(":")[1]));
-            const nextN    = Math.max(0, ...baseNs, ...editedNs) + 1;
-            const newKey   = `${tileId}:${nextN}`;
-            const newFeature = {
-              type: "Feature",
-              geometry: { type: "Polygon", coordinates: [closedRing] },
-              properties: { tile_id: tileId, n_suggestion: nextN },
-            };
-            setEditedSuggestions((prev) => new Map(prev).set(newKey, newFeature));
-            setSelectedKeys((prev) => new Set(prev).add(newKey));
+            commitSuggestions("Draw suggestion", newSuggestions(focusTile.id, null, [[[coords]]]));
             setIsDrawing(false);
-          }, [focusTile, focusTileSuggestions, editedSuggestions]);
+          }, [drawTarget, resolveFeature, focusTile, newSuggestions, replaceSuggestions, commitSuggestions]);
 
-          useDrawPolygon(mapRef, isDrawing, handlePolygonComplete, () => setIsDrawing(false));
+          useDrawPolygon(mapRef, isDrawing, handlePolygonComplete, cancelDraw, drawTarget?.mode === "split" ? "line" : "polygon");
 
           const microSuggestions = useMemo(() => {
             if (!focusTile) return [];
@@ -399,15 +542,104 @@ export default function App() {
                   alignItems:    "flex-start",
                   gap:           8,
                 }}>
-                  {dirty && (
+                  <div className="editorToolbar">
                     <button
-                      className="saveNetworkBtn"
-                      onClick={handleSave}
-                      disabled={saving}
-                      style={{ pointerEvents: "all", position: "static" }}
+                      className="editorToolBtn"
+                      onClick={networkHistory.undo}
+                      disabled={!networkHistory.canUndo}
+                      title={networkHistory.undoLabel ? `Undo ${networkHistory.undoLabel.toLowerCase()} (Ctrl+Z)` : "Undo (Ctrl+Z)"}
                     >
-                      {saving ? "Saving…" : "Save network"}
+                      ↶
                     </button>
+                    <button
+                      className="editorToolBtn"
+                      onClick={networkHistory.redo}
+                      disabled={!networkHistory.canRedo}
+                      title={networkHistory.redoLabel ? `Redo ${networkHistory.redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : "Redo (Ctrl+Shift+Z)"}
+                    >
+                      ↷
+                    </button>
+                    <button
+                      className={`editorToolBtn ${networkCheck.open ? "active" : ""}`}
+                      onClick={networkCheck.toggle}
+                      title="Check network topology"
+                    >
+                      ⚠{networkCheck.open && networkCheck.count > 0 && (
+                        <span className="editorToolBadge">{networkCheck.count}</span>
+                      )}
+                    </button>
+                    <button
+                      className={`editorToolBtn ${networkDiff.open ? "active" : ""}`}
+                      onClick={networkDiff.toggle}
+                      title="Compare with the saved file, a snapshot or an import"
+                    >
+                      ±
+                    </button>
+                    <button
+                      className={`editorToolBtn ${networkPlanarize.open ? "active" : ""}`}
+                      onClick={networkPlanarize.toggle}
+                      title="Planarize: add nodes where edges cross"
+                    >
+                      ⌗
+                    </button>
+                    <SnapSettings options={networkSnap.options} onChange={networkSnap.setOptions} />
+                    <button
+                      className={`editorToolBtn ${networkVersions.open ? "historyOn" : ""}`}
+                      onClick={networkVersions.toggle}
+                      title="Saved versions of the network"
+                    >
+                      🕘
+                    </button>
+                    <ExportMenu onExport={networkExport} />
+                    {dirty && (
+                      <button
+                        className="saveNetworkBtn"
+                        onClick={handleSave}
+                        disabled={saving}
+                        style={{ position: "static" }}
+                      >
+                        {saving ? "Saving…" : "Save network"}
+                      </button>
+                    )}
+                  </div>
+
+                  {viewLevel === "micro" && shapeKey && (!isDrawing || drawTarget) && (
+                    <SuggestionShapeBar
+                      featureKey={shapeKey}
+                      feature={editingFeaturesMap.get(shapeKey)}
+                      active={activeRing}
+                      drawing={drawTarget?.mode ?? null}
+                      onAddHole={() => startShapeDraw("hole")}
+                      onAddPart={() => startShapeDraw("part")}
+                      onDeleteRing={deleteActiveRing}
+                      onCancel={cancelDraw}
+                      steps={suggestionHistory.featureSteps(shapeKey)}
+                      onUndo={() => suggestionHistory.undoFeature(shapeKey)}
+                      onRedo={() => suggestionHistory.redoFeature(shapeKey)}
+                      canReset={editedSuggestions.has(shapeKey) && !!originalFeature(shapeKey)}
+                      onReset={() => commitSuggestions("Reset suggestion", [{ key: shapeKey, feature: null }])}
+                    />
+                  )}
+
+                  {viewLevel === "micro" && shapeKey && !isDrawing && (
+                    <SuggestionOpsBar
+                      featureKey={shapeKey}
+                      selectedCount={unionKeys.length}
+                      onUnion={unionSelected}
+                      onSubtract={() => startShapeDraw("subtract")}
+                      onSplit={() => startShapeDraw("split")}
+                    />
+                  )}
+
+                  {!isDrawing && <SuggestionHistoryBar history={suggestionHistory} />}
+
+                  {!isDrawing && (
+                    <SuggestionValidityPanel
+                      issues={suggestionIssues}
+                      onRepair={(key) => handleRepair([key])}
+                      onRepairAll={() => handleRepair(invalidKeys)}
+                      onFocus={(issue) => mapRef.current?.easeTo({ center: issue.point })}
+                    />
                   )}
 
                   <BrushControls
@@ -449,7 +681,14 @@ export default function App() {
                     </div>
 
                     {trainingPhase === "idle" && selectedKeys.size > 0 && (
-                      <button className="trainBtn" onClick={handleTrainClick}>
+                      <button
+                        className="trainBtn"
+                        onClick={handleTrainClick}
+                        disabled={invalidKeys.length > 0}
+                        title={invalidKeys.length > 0
+                          ? `${invalidKeys.length} selected suggestion${invalidKeys.length !== 1 ? "s have" : " has"} invalid geometry`
+                          : undefined}
+                      >
                         Train model · {selectedKeys.size}
                       </button>
                     )}
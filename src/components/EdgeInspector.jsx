@@ -0,0 +1,113 @@
+import { EDGE_SCHEMA } from "../utils/edgeSchema";
+
+function FieldInput({ field, value, onChange }) {
+  switch (field.type) {
+    case "select":
+      return (
+        <select
+          className="edgeInspectorInput"
+          value={value ?? ""}
+          onChange={(e) => onChange(e.target.value)}
+        >
+          <option value="">—</option>
+          {field.options.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+          {value != null && value !== "" && !field.options.some((o) => o.value === value) && (
+            <option value={value}>{String(value)}</option>
+          )}
+        </select>
+      );
+
+    case "boolean":
+      return (
+        <input
+          type="checkbox"
+          checked={value === true || value === "yes"}
+          onChange={(e) => onChange(e.target.checked)}
+        />
+      );
+
+    case "number":
+      return (
+        <span className="edgeInspectorNumber">
+          <input
+            className="edgeInspectorInput"
+            type="number"
+            min={field.min}
+            step={field.step ?? "any"}
+            defaultValue={value ?? ""}
+            onBlur={(e) => onChange(e.target.value === "" ? null : Number(e.target.value))}
+            onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+          />
+          {field.unit && <span className="edgeInspectorUnit">{field.unit}</span>}
+        </span>
+      );
+
+    default: {
+      const Tag = field.multiline ? "textarea" : "input";
+      return (
+        <Tag
+          className="edgeInspectorInput"
+          rows={field.multiline ? 3 : undefined}
+          defaultValue={value ?? ""}
+          onBlur={(e) => onChange(e.target.value.trim())}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && !(field.multiline && e.shiftKey)) {
+              e.preventDefault();
+              e.currentTarget.blur();
+            }
+          }}
+        />
+      );
+    }
+  }
+}
+
+export function EdgeInspector({ edge, schema = EDGE_SCHEMA, onChange, onClose }) {
+  if (!edge) return null;
+
+  const known = new Set(schema.map((f) => f.key));
+  const extra = Object.entries(edge.properties).filter(([k]) => !known.has(k));
+
+  return (
+    <div
+      className="edgeInspector"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="edgeInspectorHeader">
+        <span className="edgeInspectorTitle">Edge attributes</span>
+        <button className="svClose" onClick={onClose}>✕</button>
+      </div>
+
+      <div className="edgeInspectorBody">
+        {schema.map((field) => {
+          const value = edge.properties[field.key];
+          return (
+            <label key={field.key} className="edgeInspectorField">
+              <span className="edgeInspectorLabel">{field.label}</span>
+              <FieldInput
+                key={`${edge.id}:${String(value)}`}
+                field={field}
+                value={value}
+                onChange={(v) => onChange(edge.id, field.key, v)}
+              />
+            </label>
+          );
+        })}
+
+        {extra.length > 0 && (
+          <div className="edgeInspectorExtra">
+            {extra.map(([k, v]) => (
+              <div key={k} className="edgeInspectorExtraRow">
+                <span>{k}</span>
+                <span>{typeof v === "object" ? JSON.stringify(v) : String(v)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import { useState } from "react";
+import { EXPORT_FORMATS } from "../utils/networkExport";
+
+export function ExportMenu({ onExport }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="snapSettings">
+      <button
+        className={`editorToolBtn ${open ? "active" : ""}`}
+        onClick={() => setOpen((v) => !v)}
+        title="Export network"
+      >
+        ⤓
+      </button>
+      {open && (
+        <div className="snapPopover exportPopover">
+          <div className="snapRow snapMaster">Export network as</div>
+          {EXPORT_FORMATS.map(({ key, label }) => (
+            <button
+              key={key}
+              className="exportItem"
+              onClick={() => { setOpen(false); onExport(key); }}
+            >
+              {label}
+            </button>
+          ))}
+          <div className="snapHint">Includes unsaved edits</div>
+        </div>
+      )}
+    </div>
+  );
+}
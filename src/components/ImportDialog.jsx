@@ -0,0 +1,40 @@
+function plural(n, word) {
+  return `${n} ${word}${n !== 1 ? "s" : ""}`;
+}
+
+export function ImportDialog({ pending, onReplaceNetwork, onCompare, onAddSuggestions, onCancel }) {
+  const { name, summary } = pending;
+  const counts = [
+    summary.lines    > 0 && plural(summary.lines, "line"),
+    summary.polygons > 0 && plural(summary.polygons, "polygon"),
+    summary.points   > 0 && plural(summary.points, "point"),
+  ].filter(Boolean);
+
+  return (
+    <div className="confirmOverlay">
+      <div className="confirmCard">
+        <div className="confirmTitle">Import {name}</div>
+        <div className="confirmBody">
+          {counts.length ? counts.join(" · ") : "No features found"}
+          <div className="importOptions">
+            <button className="importOption" onClick={onReplaceNetwork} disabled={summary.lines === 0}>
+              <strong>Replace network</strong>
+              <span>Load the lines into the editor as unsaved edits (undoable)</span>
+            </button>
+            <button className="importOption" onClick={onCompare} disabled={summary.total === 0}>
+              <strong>Comparison layer</strong>
+              <span>Show over the map for reference, without editing</span>
+            </button>
+            <button className="importOption" onClick={onAddSuggestions} disabled={summary.polygons === 0}>
+              <strong>Add as suggestions</strong>
+              <span>Add each polygon to the tile it falls in</span>
+            </button>
+          </div>
+        </div>
+        <div className="confirmActions">
+          <button className="confirmCancelBtn" onClick={onCancel}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
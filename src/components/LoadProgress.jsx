@@ -0,0 +1,33 @@
+import { useLoadProgress } from "../hooks/useLoadProgress";
+
+const PHASES = { download: "Downloading", parse: "Parsing", graph: "Building graph", index: "Indexing" };
+
+const mb = (bytes) => (bytes / 1048576).toFixed(1);
+
+export function LoadProgress() {
+  const loads = useLoadProgress();
+  if (loads.length === 0) return null;
+
+  return (
+    <div className="loadProgress" role="status">
+      {loads.map(({ label, phase, loaded = 0, total = 0 }) => {
+        const downloading = phase === "download";
+        const pct = downloading && total ? Math.min(100, (loaded / total) * 100) : null;
+        return (
+          <div key={label} className="loadProgressRow">
+            <div className="loadProgressLabel">
+              <span>{label}</span>
+              <span className="loadProgressPhase">
+                {PHASES[phase] ?? phase}
+                {downloading && loaded > 0 && ` ${mb(loaded)}${total ? ` / ${mb(total)}` : ""} MB`}
+              </span>
+            </div>
+            <div className={`loadProgressTrack ${pct == null ? "indeterminate" : ""}`}>
+              <div className="loadProgressBar" style={pct == null ? undefined : { width: `${pct}%` }} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,10 +1,36 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import { useMap } from "../hooks/useMap";
 import { useHeatmap } from "../hooks/useHeatmap";
-import { useNetworkEditor } from "../hooks/useNetworkEditor";
+import { useNetworkEditor, DEFAULT_SNAP_OPTIONS } from "../hooks/useNetworkEditor";
 import { useNetworkData } from "../hooks/useNetworkData";
+import { useSuggestions } from "../hooks/useSuggestions";
+import { useDrawEdge } from "../hooks/useDrawEdge";
+import { useNetworkValidation } from "../hooks/useNetworkValidation";
+import { useRouting } from "../hooks/useRouting";
+import { useWalkshed } from "../hooks/useWalkshed";
+import { useAutosave } from "../hooks/useAutosave";
+import { saveDraft } from "../utils/draftStore";
+import { useNetworkHistory, describeEdits, fetchSnapshot } from "../hooks/useNetworkHistory";
+import { useNetworkDiff } from "../hooks/useNetworkDiff";
 import { useStreetView } from "../hooks/useStreetView";
 import { NetworkEditorMenu } from "./NetworkEditorMenu";
+import { EdgeInspector } from "./EdgeInspector";
+import { NetworkIssuesPanel } from "./NetworkIssuesPanel";
+import { SelectionToolbar } from "./SelectionToolbar";
+import { RoutePanel } from "./RoutePanel";
+import { WalkshedPanel } from "./WalkshedPanel";
+import { NetworkHistoryPanel } from "./NetworkHistoryPanel";
+import { NetworkMergePanel } from "./NetworkMergePanel";
+import { NetworkDiffPanel } from "./NetworkDiffPanel";
+import { PlanarizePanel } from "./PlanarizePanel";
+import { usePlanarizePreview } from "../hooks/usePlanarizePreview";
+import { DEFAULT_PLANARIZE_EXCLUDE, parseExcludeRules } from "../utils/networkPlanarize";
+import { useMergeLayer } from "../hooks/useMergeLayer";
+import { geometryBBox } from "../utils/geometry";
+import { exportNetwork, downloadBlob } from "../utils/networkExport";
+import { readImportFiles, summarizeImport } from "../utils/importFile";
+import { useComparisonLayer } from "../hooks/useComparisonLayer";
+import { ImportDialog } from "./ImportDialog";
 import { StreetViewPanel } from "./StreetViewPanel";
 import { tileToLngLatBounds } from "../utils/tileUtils";
 
@@ -106,6 +132,10 @@ export function MapView({
   previewTiles,
   isDrawing   = false,
   onToggleDraw,
+  autosaveEnabled = false,
+  networkDraft    = null,
+  onNetworkDraftRestored,
+  onImportSuggestions,
   children,
 }) {
   const { mapContainerRef, mapRef, bounds, mapZoom, flyToTile, fitToTile } = useMap();
@@ -113,25 +143,264 @@ export function MapView({
 
   const valueRange = useHeatmap(mapRef, meta2x2, sortKey, heatmapOn && mapZoom < 16, filterIds);
 
-  const { data: networkData, reload: reloadNetwork } = useNetworkData();
-  const { contextMenu, setContextMenu, splitEdge, deleteNode, saveNetwork, dirty, saving } =
-    useNetworkEditor(mapRef, networkData);
+  const { data: networkData, version: networkVersion, reload: reloadNetwork } = useNetworkData();
+  const [isDrawingEdge, setIsDrawingEdge] = useState(false);
+  // Select, route and walkshed each own map clicks, so at most one is on.
+  const [networkTool, setNetworkTool]     = useState(null);
+  const toggleTool = (tool) => setNetworkTool((cur) => (cur === tool ? null : tool));
+  const isMicro = mapZoom >= MICRO_ZOOM;
+  const drawingEdge = isDrawingEdge && isMicro;
+  const toolActive  = isMicro && !isDrawing && !drawingEdge;
+  const selecting   = toolActive && networkTool === "select";
+  const routing     = toolActive && networkTool === "route";
+  const walkshedOn  = toolActive && networkTool === "walkshed";
+  const [walkBudget, setWalkBudget] = useState(400);
+
+  const [snapOptions, setSnapOptions] = useState(DEFAULT_SNAP_OPTIONS);
+  const { suggestions } = useSuggestions();
+  const snapFeatures = useMemo(() => {
+    if (!snapOptions.polygons || !suggestions) return null;
+    const out = [];
+    for (const byN of suggestions.values()) for (const feats of byN.values()) out.push(...feats);
+    return out;
+  }, [snapOptions.polygons, suggestions]);
+
+  const {
+    contextMenu, setContextMenu, splitEdge, deleteNode, saveNetwork, reloadFailed, pendingEdits, dirty, saving,
+    deleteEdge, dissolveNode, mergeWithNeighbour,
+    conflict, resolveConflict, discardLocalEdits, keepLocalEdits,
+    getDraft, getBase, restoreDraft, replaceNetwork, planarizeNetwork,
+    undo, redo, canUndo, canRedo, undoLabel, redoLabel,
+    selectedEdge, selectEdge, updateEdgeAttribute,
+    findSnap, addEdgeChain, graphRef, revision,
+    selection, clearSelection, deleteSelection, deleteSelectedEdges, mergeSelectedNodes,
+  } = useNetworkEditor(mapRef, networkData, {
+    networkVersion,
+    selectMode: selecting,
+    snap:       snapOptions,
+    snapFeatures,
+  });
+
+  const [issuesOpen, setIssuesOpen] = useState(false);
+  const { issues, activeId: activeIssueId, focusIssue } =
+    useNetworkValidation(mapRef, graphRef, revision, issuesOpen);
+
+  const { from: routeFrom, to: routeTo, result: route, clear: clearRoute } =
+    useRouting(mapRef, graphRef, revision, routing);
+  const { start: walkStart, result: walkResult, clear: clearWalkshed } =
+    useWalkshed(mapRef, graphRef, revision, walkshedOn, walkBudget);
+
+  useEffect(() => {
+    if (!networkDraft || !networkData) return;
+    restoreDraft(networkDraft.network, networkDraft.base);
+    onNetworkDraftRestored?.();
+  }, [networkDraft, networkData, restoreDraft, onNetworkDraftRestored]);
+
+  // The base copy is large and only changes with the file, so it is written
+  // once per version rather than with every draft.
+  const draftBaseRef = useRef(null);
+  useAutosave("network", `${revision}:${dirty}`, () => {
+    const draft = getDraft();
+    const base = getBase();
+    if (draft && base.version !== draftBaseRef.current) {
+      draftBaseRef.current = base.version;
+      saveDraft("network-base", base).catch((err) => console.warn("Autosave of network base failed:", err));
+    }
+    return draft;
+  }, autosaveEnabled);
+
+  const [activeConflictKey, setActiveConflictKey] = useState(null);
+  useMergeLayer(mapRef, conflict?.merge.conflicts ?? [], activeConflictKey);
+
+  const focusConflict = (c) => {
+    setActiveConflictKey(c.key);
+    const boxes = [c.local, c.remote].map((f) => geometryBBox(f?.geometry)).filter(Boolean);
+    if (!boxes.length) return;
+    const w = Math.min(...boxes.map((b) => b[0])), s = Math.min(...boxes.map((b) => b[1]));
+    const e = Math.max(...boxes.map((b) => b[2])), n = Math.max(...boxes.map((b) => b[3]));
+    mapRef.current?.fitBounds([[w, s], [e, n]], { padding: 120, maxZoom: 20, duration: 600 });
+  };
+
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const {
+    snapshots, loading: historyLoading, refresh: refreshHistory,
+    previewId, preview: previewSnapshot, revert: revertSnapshot,
+  } = useNetworkHistory(mapRef, historyOpen);
+
+  useDrawEdge(
+    mapRef,
+    drawingEdge,
+    findSnap,
+    (clicks) => { addEdgeChain(clicks); setIsDrawingEdge(false); },
+    () => setIsDrawingEdge(false),
+  );
 
   const { panel: svPanel, closePanel: closeSV, onPanoChange } =
     useStreetView(mapRef, mapZoom, brushActive);
 
   const handleSave = async () => {
-    await saveNetwork();
-    reloadNetwork();
+    const suggested = describeEdits(pendingEdits()) || "Editor save";
+    const description = window.prompt("Describe this save", suggested);
+    if (description === null) return;
+    if (await saveNetwork(description.trim() || suggested)) {
+      reloadNetwork().catch((err) => {
+        reloadFailed();
+        console.error("Failed to reload network after save:", err);
+      });
+      if (historyOpen) refreshHistory();
+    }
   };
 
-  const isMicro = mapZoom >= MICRO_ZOOM;
+  const handleExport = (format) => {
+    try {
+      downloadBlob(exportNetwork(graphRef.current, format));
+    } catch (err) {
+      console.error("Failed to export network:", err);
+      alert(`Failed to export network: ${err.message}`);
+    }
+  };
+
+  const [dropActive, setDropActive]       = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [comparison, setComparison]       = useState(null);
+  useComparisonLayer(mapRef, comparison?.fc ?? null);
+
+  const [diffOpen, setDiffOpen]     = useState(false);
+  const [diffSource, setDiffSource] = useState({ key: "saved", fc: null, loading: false });
+  const diffReference = !diffOpen ? null
+    : diffSource.key === "import" && comparison ? comparison.fc
+    : diffSource.key.startsWith("snapshot:") ? diffSource.fc
+    : networkData;
+  const { diff, activeIndex: activeDiffIndex, focus: focusDiff } =
+    useNetworkDiff(mapRef, graphRef, revision, diffReference);
+
+  // The view area is captured when the panel opens (or on ↻) so zooming to
+  // a crossing doesn't change what gets planarized.
+  const [planarizeOpen, setPlanarizeOpen]       = useState(false);
+  const [planarizeScope, setPlanarizeScope]     = useState("view");
+  const [planarizeView, setPlanarizeView]       = useState(null);
+  const [planarizeExclude, setPlanarizeExclude] = useState(DEFAULT_PLANARIZE_EXCLUDE);
+  const viewBBox = () => (bounds ? [bounds.west, bounds.south, bounds.east, bounds.north] : null);
+  const planarizeOptions = useMemo(() => {
+    if (!planarizeOpen) return null;
+    const regions = planarizeScope === "tiles"
+      ? [...(selectedTiles ?? [])].map((tid) => {
+          const [x, y] = tid.split("_").map(Number);
+          return tileToLngLatBounds(x, y, 18);
+        })
+      : planarizeView ? [planarizeView] : [];
+    return { regions, exclude: parseExcludeRules(planarizeExclude) };
+  }, [planarizeOpen, planarizeScope, planarizeView, planarizeExclude, selectedTiles]);
+  const { preview: planarizePreview, activeIndex: activeCrossing, focus: focusCrossing } =
+    usePlanarizePreview(mapRef, graphRef, revision, planarizeOptions);
+
+  const changeDiffSource = async (key) => {
+    if (!key.startsWith("snapshot:")) {
+      setDiffSource({ key, fc: null, loading: false });
+      return;
+    }
+    setDiffSource({ key, fc: null, loading: true });
+    try {
+      const fc = await fetchSnapshot(key.slice("snapshot:".length));
+      setDiffSource((cur) => (cur.key === key ? { key, fc, loading: false } : cur));
+    } catch (err) {
+      console.error("Failed to load snapshot:", err);
+      alert(`Failed to load snapshot: ${err.message}`);
+      setDiffSource({ key: "saved", fc: null, loading: false });
+    }
+  };
+
+  const isFileDrag = (e) => [...(e.dataTransfer?.types ?? [])].includes("Files");
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setDropActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false);
+  };
+
+  const handleDrop = async (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setDropActive(false);
+    const files = [...e.dataTransfer.files];
+    try {
+      const fc = await readImportFiles(files);
+      const name = files.length === 1 ? files[0].name : files[0].name.replace(/\.[^.]+$/, "");
+      setPendingImport({ name, fc, summary: summarizeImport(fc) });
+    } catch (err) {
+      console.error("Failed to import file:", err);
+      alert(`Failed to import: ${err.message}`);
+    }
+  };
+
+  const finishImport = (use) => {
+    const { name, fc } = pendingImport;
+    setPendingImport(null);
+    if (use === "network") {
+      if (!dirty || window.confirm("Replace the network, including your unsaved edits? You can undo this.")) {
+        replaceNetwork(fc);
+      }
+    } else if (use === "compare") {
+      setComparison({ name, fc });
+    } else if (use === "suggestions") {
+      onImportSuggestions?.(fc);
+    }
+  };
+
+  const handleRevert = async (snapshot) => {
+    const warning = dirty
+      ? "\n\nYour unsaved edits are kept; you will be asked to merge them with the reverted network."
+      : "";
+    if (!window.confirm(`Revert the network to "${snapshot.description}"?${warning}`)) return;
+    try {
+      await revertSnapshot(snapshot.id);
+      await reloadNetwork();
+    } catch (err) {
+      console.error("Failed to revert network:", err);
+      alert(`Failed to revert network: ${err.message}`);
+    }
+  };
 
   return (
     <>
-      <div className="leftPane" style={{ position: "relative" }}>
+      <div
+        className="leftPane"
+        style={{ position: "relative" }}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
         <div ref={mapContainerRef} className="map" />
 
+        {dropActive && (
+          <div className="dropOverlay">
+            Drop a zipped Shapefile or GeoJSON to import
+          </div>
+        )}
+
+        {comparison && (
+          <div className="compareChip">
+            <span className="compareSwatch" />
+            {comparison.name}
+            <button className="svClose" onClick={() => setComparison(null)} title="Remove comparison layer">✕</button>
+          </div>
+        )}
+
+        {pendingImport && (
+          <ImportDialog
+            pending={pendingImport}
+            onReplaceNetwork={() => finishImport("network")}
+            onCompare={() => finishImport("compare")}
+            onAddSuggestions={() => finishImport("suggestions")}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+
         <TileSelectorOverlay
           mapRef={mapRef}
           selectedTiles={selectedTiles ?? new Set()}
@@ -144,8 +413,20 @@ export function MapView({
           setContextMenu={setContextMenu}
           splitEdge={splitEdge}
           deleteNode={deleteNode}
+          selectEdge={selectEdge}
+          deleteEdge={deleteEdge}
+          dissolveNode={dissolveNode}
+          mergeWithNeighbour={mergeWithNeighbour}
         />
 
+        {isMicro && (
+          <EdgeInspector
+            edge={selectedEdge}
+            onChange={updateEdgeAttribute}
+            onClose={() => selectEdge(null)}
+          />
+        )}
+
         {mapZoom < 16 && (
           <div className="mapOverlayControl">
             <label className="toggleLabel">
@@ -175,6 +456,7 @@ export function MapView({
           <button
             className={`drawPolygonBtn${isDrawing ? " active" : ""}`}
             onClick={onToggleDraw}
+            disabled={drawingEdge}
             title={isDrawing ? "Cancel drawing (Esc)" : "Draw polygon"}
           >
             <svg width="15" height="15" viewBox="0 0 16 16" fill="none"
@@ -190,10 +472,197 @@ export function MapView({
           </button>
         )}
 
+        {isMicro && (
+          <button
+            className={`drawPolygonBtn drawEdgeBtn${drawingEdge ? " active" : ""}`}
+            onClick={() => setIsDrawingEdge((v) => !v)}
+            disabled={isDrawing}
+            title={drawingEdge ? "Cancel drawing (Esc) · Enter or double-click to finish" : "Draw network edge"}
+          >
+            <svg width="15" height="15" viewBox="0 0 16 16" fill="none"
+              stroke="currentColor" strokeWidth="1.6" strokeLinejoin="round" strokeLinecap="round">
+              <polyline points="2,13 6,6 10,10 14,3" />
+              <circle cx="2"  cy="13" r="1.5" fill="currentColor" stroke="none" />
+              <circle cx="6"  cy="6"  r="1.5" fill="currentColor" stroke="none" />
+              <circle cx="10" cy="10" r="1.5" fill="currentColor" stroke="none" />
+              <circle cx="14" cy="3"  r="1.5" fill="currentColor" stroke="none" />
+            </svg>
+          </button>
+        )}
+
+        {isMicro && (
+          <button
+            className={`drawPolygonBtn selectToolBtn${selecting ? " active" : ""}`}
+            onClick={() => toggleTool("select")}
+            disabled={isDrawing || drawingEdge}
+            title={selecting
+              ? "Stop selecting · drag for a box, Alt+drag for a lasso, Ctrl to add"
+              : "Select network nodes and edges"}
+          >
+            <svg width="15" height="15" viewBox="0 0 16 16" fill="none"
+              stroke="currentColor" strokeWidth="1.6" strokeLinejoin="round" strokeLinecap="round">
+              <rect x="2" y="2" width="12" height="12" rx="1" strokeDasharray="2.5 2" />
+              <circle cx="6"  cy="9" r="1.5" fill="currentColor" stroke="none" />
+              <circle cx="10" cy="6" r="1.5" fill="currentColor" stroke="none" />
+            </svg>
+          </button>
+        )}
+
+        {isMicro && (
+          <button
+            className={`drawPolygonBtn routeToolBtn${routing ? " active" : ""}`}
+            onClick={() => toggleTool("route")}
+            disabled={isDrawing || drawingEdge}
+            title={routing ? "Stop routing" : "Shortest path between two nodes"}
+          >
+            <svg width="15" height="15" viewBox="0 0 16 16" fill="none"
+              stroke="currentColor" strokeWidth="1.6" strokeLinejoin="round" strokeLinecap="round">
+              <path d="M3 13V8.5a2.5 2.5 0 0 1 2.5-2.5h5A2.5 2.5 0 0 0 13 3.5" />
+              <circle cx="3"  cy="13" r="1.8" fill="currentColor" stroke="none" />
+              <circle cx="13" cy="3"  r="1.8" fill="currentColor" stroke="none" />
+            </svg>
+          </button>
+        )}
+
+        {routing && (
+          <RoutePanel
+            from={routeFrom}
+            to={routeTo}
+            result={route}
+            onClear={clearRoute}
+            onClose={() => setNetworkTool(null)}
+          />
+        )}
+
+        {isMicro && (
+          <button
+            className={`drawPolygonBtn walkshedToolBtn${walkshedOn ? " active" : ""}`}
+            onClick={() => toggleTool("walkshed")}
+            disabled={isDrawing || drawingEdge}
+            title={walkshedOn ? "Stop walkshed analysis" : "Walkshed from a node"}
+          >
+            <svg width="15" height="15" viewBox="0 0 16 16" fill="none"
+              stroke="currentColor" strokeWidth="1.6" strokeLinejoin="round" strokeLinecap="round">
+              <circle cx="8" cy="8" r="6" strokeDasharray="2.5 2" />
+              <path d="M8 8L4 5M8 8l4.5-1.5M8 8l1 5" />
+              <circle cx="8" cy="8" r="1.8" fill="currentColor" stroke="none" />
+            </svg>
+          </button>
+        )}
+
+        {walkshedOn && (
+          <WalkshedPanel
+            start={walkStart}
+            budget={walkBudget}
+            onBudgetChange={setWalkBudget}
+            result={walkResult}
+            onClear={clearWalkshed}
+            onClose={() => setNetworkTool(null)}
+          />
+        )}
+
+        {isMicro && !routing && !walkshedOn && (
+          <SelectionToolbar
+            selection={selection}
+            onDelete={deleteSelection}
+            onDeleteEdges={deleteSelectedEdges}
+            onMerge={mergeSelectedNodes}
+            onClear={clearSelection}
+          />
+        )}
+
+        <NetworkIssuesPanel
+          open={issuesOpen}
+          issues={issues}
+          activeId={activeIssueId}
+          onSelect={focusIssue}
+          onClose={() => setIssuesOpen(false)}
+        />
+
+        {conflict && (
+          <NetworkMergePanel
+            key={conflict.version}
+            conflict={conflict}
+            activeKey={activeConflictKey}
+            onFocus={focusConflict}
+            onApply={resolveConflict}
+            onTakeRemote={() => {
+              if (window.confirm("Discard your unsaved edits and load the network on disk?")) discardLocalEdits();
+            }}
+            onKeepLocal={keepLocalEdits}
+          />
+        )}
+
+        <NetworkDiffPanel
+          open={diffOpen}
+          source={diffSource.key}
+          onSourceChange={changeDiffSource}
+          snapshots={snapshots}
+          importName={comparison?.name ?? null}
+          loading={diffSource.loading}
+          diff={diff}
+          activeIndex={activeDiffIndex}
+          onFocus={focusDiff}
+          onClose={() => setDiffOpen(false)}
+        />
+
+        <PlanarizePanel
+          open={planarizeOpen}
+          scope={planarizeScope}
+          onScopeChange={setPlanarizeScope}
+          onRefreshView={() => setPlanarizeView(viewBBox())}
+          tileCount={selectedTiles?.size ?? 0}
+          exclude={planarizeExclude}
+          onExcludeChange={setPlanarizeExclude}
+          preview={planarizePreview}
+          activeIndex={activeCrossing}
+          onFocus={focusCrossing}
+          onApply={() => planarizeNetwork(planarizeOptions)}
+          onClose={() => setPlanarizeOpen(false)}
+        />
+
+        <NetworkHistoryPanel
+          open={historyOpen}
+          snapshots={snapshots}
+          loading={historyLoading}
+          previewId={previewId}
+          onPreview={previewSnapshot}
+          onRevert={handleRevert}
+          onClose={() => setHistoryOpen(false)}
+        />
+
         <StreetViewPanel panel={svPanel} onClose={closeSV} onPanoChange={onPanoChange} />
       </div>
 
-      {children({ bounds, mapZoom, flyToTile, fitToTile, networkData, mapRef, reloadNetwork, dirty, saving, handleSave })}
+      {children({
+        bounds, mapZoom, flyToTile, fitToTile, networkData, mapRef, reloadNetwork, dirty, saving, handleSave,
+        networkHistory: { undo, redo, canUndo, canRedo, undoLabel, redoLabel },
+        networkCheck:   {
+          open: issuesOpen, count: issues.length,
+          toggle: () => { setIssuesOpen((v) => !v); setDiffOpen(false); setPlanarizeOpen(false); },
+        },
+        networkDiff:    {
+          open: diffOpen,
+          toggle: () => {
+            if (!diffOpen) refreshHistory();
+            setDiffOpen((v) => !v);
+            setIssuesOpen(false);
+            setPlanarizeOpen(false);
+          },
+        },
+        networkPlanarize: {
+          open: planarizeOpen,
+          toggle: () => {
+            if (!planarizeOpen) setPlanarizeView(viewBBox());
+            setPlanarizeOpen((v) => !v);
+            setIssuesOpen(false);
+            setDiffOpen(false);
+          },
+        },
+        networkSnap:    { options: snapOptions, setOptions: setSnapOptions },
+        networkVersions: { open: historyOpen, toggle: () => setHistoryOpen((v) => !v) },
+        networkExport:   handleExport,
+      })}
     </>
   );
 }
\ No newline at end of file
@@ -0,0 +1,104 @@
+import { DIFF_COLORS } from "../hooks/useNetworkDiff";
+
+const KIND_LABELS = { added: "Added", removed: "Removed", moved: "Moved" };
+
+function formatLength(m) {
+  return m >= 1000 ? `${(m / 1000).toFixed(2)} km` : `${Math.round(m)} m`;
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+function Counts({ t }) {
+  return (
+    <span className="diffCounts">
+      {["added", "removed", "moved"].map((k) => t[k] > 0 && (
+        <span key={k} style={{ color: DIFF_COLORS[k] }}>
+          {k === "added" ? "+" : k === "removed" ? "−" : "~"}{t[k]}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+export function NetworkDiffPanel({
+  open, source, onSourceChange, snapshots, importName, loading, diff, activeIndex, onFocus, onClose,
+}) {
+  if (!open) return null;
+
+  const changes = diff?.changes ?? [];
+  const active = changes[activeIndex];
+  const step = (by) => {
+    if (!changes.length) return;
+    onFocus(activeIndex < 0 ? (by > 0 ? 0 : changes.length - 1) : (activeIndex + by + changes.length) % changes.length);
+  };
+
+  return (
+    <div
+      className="issuesPanel"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="edgeInspectorHeader">
+        <span className="edgeInspectorTitle">Network diff</span>
+        <button className="svClose" onClick={onClose}>✕</button>
+      </div>
+
+      <div className="diffSource">
+        <span>Compare with</span>
+        <select
+          className="edgeInspectorInput"
+          value={source}
+          onChange={(e) => onSourceChange(e.target.value)}
+        >
+          <option value="saved">Last saved file</option>
+          {importName && <option value="import">Imported · {importName}</option>}
+          {snapshots.map((s) => (
+            <option key={s.id} value={`snapshot:${s.id}`}>
+              {formatTime(s.createdAt)} · {s.description}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {diff && (
+        <div className="diffTotals">
+          <Counts t={diff.totals} />
+          <span className="diffLength">
+            +{formatLength(diff.totals.addedLength)} / −{formatLength(diff.totals.removedLength)}
+          </span>
+        </div>
+      )}
+
+      {changes.length > 0 && (
+        <div className="diffStepper">
+          <button className="selectionBarBtn" onClick={() => step(-1)} title="Previous change">◀</button>
+          <span className="diffStepLabel">
+            {active
+              ? <>{activeIndex + 1} / {changes.length} · <span style={{ color: DIFF_COLORS[active.kind] }}>{KIND_LABELS[active.kind]}</span> · {formatLength(active.length)}</>
+              : `${changes.length} change${changes.length !== 1 ? "s" : ""}`}
+          </span>
+          <button className="selectionBarBtn" onClick={() => step(1)} title="Next change">▶</button>
+        </div>
+      )}
+
+      <div className="issuesList">
+        {(loading || !diff) && <div className="issuesEmpty">{loading ? "Loading reference…" : "Comparing…"}</div>}
+        {diff && !loading && changes.length === 0 && <div className="issuesEmpty">No differences</div>}
+        {diff && !loading && diff.tiles.map((t) => (
+          <button
+            key={t.tileId}
+            className={`issuesRow ${active?.tileId === t.tileId ? "active" : ""}`}
+            onClick={() => onFocus(t.first)}
+          >
+            <span className="issuesRowType">Tile {t.tileId}</span>
+            <span className="issuesRowDetail">
+              <Counts t={t} /> · +{formatLength(t.addedLength)} / −{formatLength(t.removedLength)}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,7 @@
-export function NetworkEditorMenu({ contextMenu, setContextMenu, splitEdge, deleteNode }) {
+export function NetworkEditorMenu({
+  contextMenu, setContextMenu, splitEdge, deleteNode, selectEdge,
+  deleteEdge, dissolveNode, mergeWithNeighbour,
+}) {
   if (!contextMenu) return null;
 
   const { type, x, y } = contextMenu;
@@ -19,10 +22,37 @@ export function NetworkEditorMenu({ contextMenu, setContextMenu, splitEdge, dele
           >
             ✂ Split edge
           </button>
+          <button
+            className="editorMenuItem"
+            onClick={() => { selectEdge(contextMenu.edgeId); setContextMenu(null); }}
+          >
+            ✎ Edit attributes
+          </button>
+          <button
+            className="editorMenuItem danger"
+            onClick={() => deleteEdge(contextMenu.edgeId)}
+          >
+            🗑 Delete edge
+          </button>
         </>
       ) : (
         <>
           <div className="editorMenuTitle">Node</div>
+          <button
+            className="editorMenuItem"
+            onClick={() => dissolveNode(contextMenu.nodeId)}
+            disabled={!contextMenu.canDissolve}
+            title={contextMenu.canDissolve ? "Join its two edges into one" : "Only nodes joining exactly two edges"}
+          >
+            ⤚ Dissolve node
+          </button>
+          <button
+            className="editorMenuItem"
+            onClick={() => mergeWithNeighbour(contextMenu.nodeId)}
+            disabled={!contextMenu.canMerge}
+          >
+            ⊙ Merge with neighbour
+          </button>
           <button
             className="editorMenuItem danger"
             onClick={() => deleteNode(contextMenu.nodeId)}
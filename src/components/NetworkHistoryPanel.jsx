@@ -0,0 +1,70 @@
+import { describeEdits } from "../hooks/useNetworkHistory";
+
+const SOURCE_LABELS = {
+  editor:   "Edit",
+  model:    "Model",
+  revert:   "Revert",
+  baseline: "Initial",
+};
+
+function formatTime(iso) {
+  const d = new Date(iso);
+  return d.toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+export function NetworkHistoryPanel({ open, snapshots, loading, previewId, onPreview, onRevert, onClose }) {
+  if (!open) return null;
+
+  return (
+    <div
+      className="historyPanel"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="edgeInspectorHeader">
+        <span className="edgeInspectorTitle">
+          Network history · {snapshots.length} snapshot{snapshots.length !== 1 ? "s" : ""}
+        </span>
+        <button className="svClose" onClick={onClose}>✕</button>
+      </div>
+
+      <div className="issuesList">
+        {snapshots.length === 0 && (
+          <div className="issuesEmpty">{loading ? "Loading…" : "No saved versions yet"}</div>
+        )}
+        {snapshots.map((s, i) => {
+          const edits = describeEdits(s.edits);
+          return (
+            <div key={s.id} className={`historyRow ${s.id === previewId ? "active" : ""}`}>
+              <div className="historyRowHead">
+                <span className={`historySource ${s.source}`}>{SOURCE_LABELS[s.source] ?? s.source}</span>
+                <span className="historyTime">{formatTime(s.createdAt)}</span>
+                {i === 0 && <span className="historyCurrent">current</span>}
+              </div>
+              <div className="historyDesc">{s.description}</div>
+              <div className="historyMeta">
+                {s.edits ? `${s.edits.total} edit${s.edits.total !== 1 ? "s" : ""}` : "—"} · {s.features} features
+                {edits && edits !== s.description && <span title={edits}> · {edits}</span>}
+              </div>
+              <div className="historyActions">
+                <button
+                  className="selectionBarBtn"
+                  onClick={() => onPreview(s.id === previewId ? null : s.id)}
+                >
+                  {s.id === previewId ? "Hide preview" : "Preview"}
+                </button>
+                <button
+                  className="selectionBarBtn"
+                  onClick={() => onRevert(s)}
+                  disabled={i === 0}
+                >
+                  Revert
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { ISSUE_LABELS } from "../utils/networkValidation";
+
+const MAX_ROWS = 200;
+
+export function NetworkIssuesPanel({ open, issues, activeId, onSelect, onClose }) {
+  const [typeFilter, setTypeFilter] = useState(null);
+
+  if (!open) return null;
+
+  const counts = new Map();
+  for (const issue of issues) counts.set(issue.type, (counts.get(issue.type) ?? 0) + 1);
+
+  const visible = typeFilter ? issues.filter((i) => i.type === typeFilter) : issues;
+
+  return (
+    <div
+      className="issuesPanel"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="edgeInspectorHeader">
+        <span className="edgeInspectorTitle">
+          Network check · {issues.length} issue{issues.length !== 1 ? "s" : ""}
+        </span>
+        <button className="svClose" onClick={onClose}>✕</button>
+      </div>
+
+      {counts.size > 0 && (
+        <div className="issuesFilters">
+          {Object.keys(ISSUE_LABELS).filter((t) => counts.has(t)).map((t) => (
+            <button
+              key={t}
+              className={`issuesChip ${typeFilter === t ? "active" : ""}`}
+              onClick={() => setTypeFilter((cur) => (cur === t ? null : t))}
+            >
+              {ISSUE_LABELS[t]} · {counts.get(t)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="issuesList">
+        {visible.length === 0 && (
+          <div className="issuesEmpty">No issues found</div>
+        )}
+        {visible.slice(0, MAX_ROWS).map((issue) => (
+          <button
+            key={issue.id}
+            className={`issuesRow ${issue.id === activeId ? "active" : ""}`}
+            onClick={() => onSelect(issue)}
+          >
+            <span className="issuesRowType">{ISSUE_LABELS[issue.type]}</span>
+            <span className="issuesRowDetail">{issue.detail}</span>
+          </button>
+        ))}
+        {visible.length > MAX_ROWS && (
+          <div className="issuesEmpty">… {visible.length - MAX_ROWS} more</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { useState } from "react";
+
+const MAX_ROWS = 200;
+
+function change(base, side) {
+  if (!side) return "deleted";
+  if (!base) return "added";
+  return "edited";
+}
+
+function label(c) {
+  const f = c.local ?? c.remote ?? c.base;
+  return f?.geometry?.type === "Point" ? "Node" : "Edge";
+}
+
+/*
+ * Shown when the network on disk changed under unsaved edits. Non-conflicting
+ * changes from both sides are merged automatically; each feature both sides
+ * changed differently gets a "mine" / "disk" choice.
+ */
+export function NetworkMergePanel({ conflict, onApply, onTakeRemote, onKeepLocal, onFocus, activeKey }) {
+  const [choices, setChoices] = useState({});
+  const { conflicts, stats } = conflict.merge;
+
+  const setAll = (side) => setChoices(Object.fromEntries(conflicts.map((c) => [c.key, side])));
+
+  return (
+    <div
+      className="mergePanel"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="edgeInspectorHeader">
+        <span className="edgeInspectorTitle">Network changed on disk</span>
+      </div>
+
+      <div className="mergeSummary">
+        <span><b>{stats.local}</b> of your changes</span>
+        <span><b>{stats.remote}</b> changes on disk</span>
+        <span><b>{conflicts.length}</b> conflict{conflicts.length !== 1 ? "s" : ""}</span>
+      </div>
+
+      {conflicts.length > 0 && (
+        <>
+          <div className="mergeLegend">
+            <span className="mergeSwatch local" /> mine
+            <span className="mergeSwatch remote" /> on disk
+            <span className="mergeBulk">
+              <button className="issuesChip" onClick={() => setAll("local")}>All mine</button>
+              <button className="issuesChip" onClick={() => setAll("remote")}>All disk</button>
+            </span>
+          </div>
+          <div className="issuesList">
+            {conflicts.slice(0, MAX_ROWS).map((c) => {
+              const pick = choices[c.key] ?? "local";
+              return (
+                <div
+                  key={c.key}
+                  className={`mergeRow ${c.key === activeKey ? "active" : ""}`}
+                  onClick={() => onFocus(c)}
+                >
+                  <span className="issuesRowType">{label(c)}</span>
+                  <span className="issuesRowDetail">
+                    {change(c.base, c.local)} here · {change(c.base, c.remote)} on disk
+                  </span>
+                  <span className="mergeChoice" onClick={(e) => e.stopPropagation()}>
+                    {["local", "remote"].map((side) => (
+                      <button
+                        key={side}
+                        className={`issuesChip ${pick === side ? "active" : ""}`}
+                        onClick={() => setChoices((cur) => ({ ...cur, [c.key]: side }))}
+                      >
+                        {side === "local" ? "Mine" : "Disk"}
+                      </button>
+                    ))}
+                  </span>
+                </div>
+              );
+            })}
+            {conflicts.length > MAX_ROWS && (
+              <div className="issuesEmpty">… {conflicts.length - MAX_ROWS} more (kept as mine)</div>
+            )}
+          </div>
+        </>
+      )}
+
+      <div className="mergeActions">
+        <button className="selectionBarBtn" onClick={() => onApply(choices)}>Apply merge</button>
+        <button className="selectionBarBtn" onClick={onKeepLocal} title="Keep your version; saving will overwrite the file on disk">
+          Keep mine
+        </button>
+        <button className="selectionBarBtn danger" onClick={onTakeRemote}>Discard my edits</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import { PLANARIZE_COLOR } from "../hooks/usePlanarizePreview";
+
+const MAX_ROWS = 200;
+
+export function PlanarizePanel({
+  open, scope, onScopeChange, onRefreshView, tileCount, exclude, onExcludeChange,
+  preview, activeIndex, onFocus, onApply, onClose,
+}) {
+  if (!open) return null;
+
+  const crossings = preview?.crossings ?? [];
+
+  return (
+    <div
+      className="issuesPanel"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="edgeInspectorHeader">
+        <span className="edgeInspectorTitle">Planarize</span>
+        <button className="svClose" onClick={onClose}>✕</button>
+      </div>
+
+      <div className="diffSource">
+        <span>Area</span>
+        <select
+          className="edgeInspectorInput"
+          value={scope}
+          onChange={(e) => onScopeChange(e.target.value)}
+        >
+          <option value="view">Current view</option>
+          <option value="tiles" disabled={tileCount === 0}>
+            Selected tiles{tileCount > 0 ? ` (${tileCount})` : ""}
+          </option>
+        </select>
+        {scope === "view" && (
+          <button className="selectionBarBtn" onClick={onRefreshView} title="Use the area now in view">↻</button>
+        )}
+      </div>
+
+      <label className="diffSource">
+        <span>Skip</span>
+        <input
+          className="edgeInspectorInput"
+          value={exclude}
+          onChange={(e) => onExcludeChange(e.target.value)}
+          placeholder="bridge, tunnel, layer=1"
+          title="Edges with any of these attributes are never split; key alone matches any value but no"
+        />
+      </label>
+
+      <div className="diffTotals">
+        <span style={{ color: PLANARIZE_COLOR, fontWeight: 700 }}>
+          {preview ? `${crossings.length} crossing${crossings.length !== 1 ? "s" : ""}` : "Checking…"}
+        </span>
+        {preview && preview.nodeCount > 0 && (
+          <span className="diffLength">
+            {preview.nodeCount} node{preview.nodeCount !== 1 ? "s" : ""} · {preview.edgeCount} edge{preview.edgeCount !== 1 ? "s" : ""} split
+          </span>
+        )}
+      </div>
+
+      <div className="diffStepper">
+        <button
+          className="selectionBarBtn planarizeApply"
+          onClick={onApply}
+          disabled={!preview || preview.nodeCount === 0}
+        >
+          Add {preview?.nodeCount ?? 0} node{preview?.nodeCount !== 1 ? "s" : ""}
+        </button>
+      </div>
+
+      <div className="issuesList">
+        {preview && crossings.length === 0 && <div className="issuesEmpty">No crossings without a node</div>}
+        {crossings.slice(0, MAX_ROWS).map((c, i) => (
+          <button
+            key={`${c.edgeIds.join("+")}@${c.point.join(",")}`}
+            className={`issuesRow ${i === activeIndex ? "active" : ""}`}
+            onClick={() => onFocus(i)}
+          >
+            <span className="issuesRowType">Crossing {i + 1}</span>
+            <span className="issuesRowDetail">{c.edgeIds.join(" × ")}</span>
+          </button>
+        ))}
+        {crossings.length > MAX_ROWS && (
+          <div className="issuesEmpty">{crossings.length - MAX_ROWS} more not listed</div>
+        )}
+      </div>
+    </div>
+  );
+}
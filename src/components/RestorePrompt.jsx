@@ -0,0 +1,50 @@
+import { describeEdits } from "../hooks/useNetworkHistory";
+
+function ago(ts) {
+  const min = Math.round((Date.now() - ts) / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  const h = Math.round(min / 60);
+  if (h < 48) return `${h} h ago`;
+  return new Date(ts).toLocaleDateString();
+}
+
+export function RestorePrompt({ drafts, onRestore, onDiscard }) {
+  const { network, suggestions } = drafts;
+  const edits = network ? describeEdits(network.edits) : "";
+  const newest = Math.max(network?.savedAt ?? 0, suggestions?.savedAt ?? 0);
+
+  return (
+    <div className="confirmOverlay">
+      <div className="confirmCard">
+        <div className="confirmTitle">Restore unsaved work?</div>
+        <div className="confirmBody">
+          The last session ended with unsaved changes ({ago(newest)}):
+          <ul className="restoreList">
+            {network && (
+              <li>
+                Network edits
+                {network.edits?.total > 0 && ` — ${network.edits.total} change${network.edits.total !== 1 ? "s" : ""}`}
+                {edits && <div className="restoreDetail">{edits}</div>}
+              </li>
+            )}
+            {suggestions?.edited?.size > 0 && (
+              <li>
+                {suggestions.edited.size} edited suggestion polygon{suggestions.edited.size !== 1 ? "s" : ""}
+              </li>
+            )}
+            {suggestions?.selected?.size > 0 && (
+              <li>
+                {suggestions.selected.size} selected suggestion{suggestions.selected.size !== 1 ? "s" : ""}
+              </li>
+            )}
+          </ul>
+        </div>
+        <div className="confirmActions">
+          <button className="confirmCancelBtn" onClick={onDiscard}>Discard</button>
+          <button className="confirmSubmitBtn" onClick={onRestore}>Restore</button>
+        </div>
+      </div>
+    </div>
+  );
+}
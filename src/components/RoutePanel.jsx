@@ -0,0 +1,31 @@
+function formatLength(m) {
+  return m >= 1000 ? `${(m / 1000).toFixed(2)} km` : `${m.toFixed(1)} m`;
+}
+
+export function RoutePanel({ from, to, result, onClear, onClose }) {
+  let text;
+  if (!from)        text = "Click a start node";
+  else if (!to)     text = "Click an end node";
+  else if (!result) text = "Routing…";
+  else if (result.found) {
+    const n = result.edgeIds.length;
+    text = `Route · ${formatLength(result.length)} · ${n} edge${n !== 1 ? "s" : ""}`;
+  } else {
+    const { from: a, to: b } = result.components;
+    text = `No path · start and end are disconnected (${a.length} vs ${b.length} edges)`;
+  }
+
+  return (
+    <div
+      className="selectionBar"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <span className={`selectionBarCount${result && !result.found ? " routeNoPath" : ""}`}>{text}</span>
+      <button className="selectionBarBtn" onClick={onClear} disabled={!from} title="Pick new ends (Esc)">
+        Clear
+      </button>
+      <button className="svClose" onClick={onClose} title="Close routing">✕</button>
+    </div>
+  );
+}
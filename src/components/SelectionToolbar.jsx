@@ -0,0 +1,26 @@
+export function SelectionToolbar({ selection, onDelete, onDeleteEdges, onMerge, onClear }) {
+  const { nodes, edges } = selection;
+  if (nodes + edges === 0) return null;
+
+  return (
+    <div
+      className="selectionBar"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <span className="selectionBarCount">
+        {nodes} node{nodes !== 1 ? "s" : ""} · {edges} edge{edges !== 1 ? "s" : ""}
+      </span>
+      <button className="selectionBarBtn" onClick={onMerge} disabled={nodes < 2} title="Merge nodes into one at their centroid">
+        Merge nodes
+      </button>
+      <button className="selectionBarBtn" onClick={onDeleteEdges} disabled={edges === 0} title="Delete selected edges, keep their nodes">
+        Delete edges
+      </button>
+      <button className="selectionBarBtn danger" onClick={onDelete} title="Delete selection (Del)">
+        Delete
+      </button>
+      <button className="svClose" onClick={onClear} title="Clear selection (Esc)">✕</button>
+    </div>
+  );
+}
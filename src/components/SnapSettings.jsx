@@ -0,0 +1,58 @@
+import { useState } from "react";
+
+const TARGETS = [
+  { key: "nodes",    label: "Nodes" },
+  { key: "edges",    label: "Edges (splits on drop)" },
+  { key: "polygons", label: "Sidewalk polygons" },
+];
+
+export function SnapSettings({ options, onChange }) {
+  const [open, setOpen] = useState(false);
+  const set = (key, value) => onChange({ ...options, [key]: value });
+
+  return (
+    <div className="snapSettings">
+      <button
+        className={`editorToolBtn ${options.enabled ? "snapOn" : ""}`}
+        onClick={() => setOpen((v) => !v)}
+        title="Snapping (hold Alt while dragging to ignore)"
+      >
+        🧲
+      </button>
+      {open && (
+        <div className="snapPopover">
+          <label className="snapRow snapMaster">
+            <input
+              type="checkbox"
+              checked={options.enabled}
+              onChange={(e) => set("enabled", e.target.checked)}
+            />
+            Snap while dragging
+          </label>
+          {TARGETS.map(({ key, label }) => (
+            <label key={key} className="snapRow">
+              <input
+                type="checkbox"
+                checked={options[key]}
+                disabled={!options.enabled}
+                onChange={(e) => set(key, e.target.checked)}
+              />
+              {label}
+            </label>
+          ))}
+          <label className="snapRow">
+            Tolerance
+            <input
+              type="range" min={4} max={30} step={1}
+              value={options.tolerancePx}
+              disabled={!options.enabled}
+              onChange={(e) => set("tolerancePx", Number(e.target.value))}
+            />
+            <span className="snapValue">{options.tolerancePx}px</span>
+          </label>
+          <div className="snapHint">Hold Alt while dragging to place freely</div>
+        </div>
+      )}
+    </div>
+  );
+}
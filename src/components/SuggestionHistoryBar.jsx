@@ -0,0 +1,31 @@
+// Undo/redo across all suggestion edits and selections. Ctrl+Z reaches the
+// same history when a suggestion was changed more recently than the network.
+export function SuggestionHistoryBar({ history }) {
+  const { canUndo, canRedo, undoLabel, redoLabel, undo, redo } = history;
+  if (!canUndo && !canRedo) return null;
+
+  return (
+    <div className="editorToolbar shapeBar">
+      <span className="shapeBarLabel">
+        Suggestions
+        <span className="shapeBarDetail">{undoLabel ?? "Nothing to undo"}</span>
+      </span>
+      <button
+        className="editorToolBtn"
+        onClick={undo}
+        disabled={!canUndo}
+        title={undoLabel ? `Undo ${undoLabel.toLowerCase()}` : "Undo"}
+      >
+        ↶
+      </button>
+      <button
+        className="editorToolBtn"
+        onClick={redo}
+        disabled={!canRedo}
+        title={redoLabel ? `Redo ${redoLabel.toLowerCase()}` : "Redo"}
+      >
+        ↷
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+// Geometry tools at micro zoom: merge the selected suggestions of one tile,
+// or cut a drawn polygon out of / split along a drawn line the one being
+// edited. Each result becomes a new suggestion in place of its sources.
+export function SuggestionOpsBar({ featureKey, selectedCount, onUnion, onSubtract, onSplit }) {
+  const n = featureKey.split(":")[1];
+
+  return (
+    <div className="editorToolbar shapeBar">
+      <span className="shapeBarLabel">
+        Geometry
+        <span className="shapeBarDetail">Results replace their sources</span>
+      </span>
+      <button
+        className="selectionBarBtn"
+        onClick={onUnion}
+        disabled={selectedCount < 2}
+        title={selectedCount < 2 ? "Select two or more suggestions in this tile to merge" : `Merge the ${selectedCount} selected suggestions in this tile`}
+      >
+        Union{selectedCount >= 2 ? ` · ${selectedCount}` : ""}
+      </button>
+      <button className="selectionBarBtn" onClick={onSubtract} title={`Draw an area to cut out of suggestion ${n}`}>
+        Subtract
+      </button>
+      <button className="selectionBarBtn" onClick={onSplit} title={`Draw a line to split suggestion ${n} along`}>
+        Split
+      </button>
+    </div>
+  );
+}
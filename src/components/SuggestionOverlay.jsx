@@ -1,5 +1,6 @@
 import { useMemo } from "react";
 import { tileToLngLatBounds } from "../utils/tileUtils";
+import { featuresInBBox } from "../utils/spatialIndex";
 
 function ringToPathSegment(ring, west, north, geoW, geoH, size) {
   const pts = ring.map(([lon, lat]) => {
@@ -27,7 +28,7 @@ export function SuggestionOverlay({
 
     const result = [];
 
-    for (const f of features) {
+    for (const f of featuresInBBox(features, [west, south, east, north])) {
       const { type, coordinates } = f.geometry;
 
       if (type === "Polygon") {
@@ -0,0 +1,81 @@
+import { polygonParts } from "../utils/polygonEdit";
+
+const DRAWING_LABELS = {
+  hole:     "Drawing a hole…",
+  part:     "Drawing a part…",
+  subtract: "Drawing the area to cut out…",
+  split:    "Drawing the split line; double-click to finish",
+};
+
+function ringLabel(parts, { part, ring }) {
+  const where = parts.length > 1 ? `Part ${part + 1} · ` : "";
+  return ring === 0 ? `${where}outline` : `${where}hole ${ring}`;
+}
+
+// Shape tools for the suggestion being edited: draw a hole or another part,
+// delete the ring last grabbed on the map, step through this suggestion's
+// own history or go back to the model's version.
+export function SuggestionShapeBar({
+  featureKey, feature, active, drawing, onAddHole, onAddPart, onDeleteRing, onCancel,
+  steps, onUndo, onRedo, canReset, onReset,
+}) {
+  const parts = polygonParts(feature);
+  const holes = parts.reduce((sum, poly) => sum + poly.length - 1, 0);
+  const ring = active?.featureKey === featureKey ? active : null;
+  const canDelete = ring && (ring.ring > 0 || parts.length > 1);
+
+  return (
+    <div className="editorToolbar shapeBar">
+      <span className="shapeBarLabel">
+        Suggestion {featureKey.split(":")[1]}
+        <span className="shapeBarDetail">
+          {parts.length} part{parts.length !== 1 ? "s" : ""} · {holes} hole{holes !== 1 ? "s" : ""}
+          {ring && ` · ${ringLabel(parts, ring)}`}
+        </span>
+      </span>
+      {drawing ? (
+        <>
+          <span className="shapeBarDetail">{DRAWING_LABELS[drawing]}</span>
+          <button className="selectionBarBtn" onClick={onCancel} title="Cancel (Esc)">Cancel</button>
+        </>
+      ) : (
+        <>
+          <button className="selectionBarBtn" onClick={onAddHole} title="Draw a hole inside this suggestion">+ Hole</button>
+          <button className="selectionBarBtn" onClick={onAddPart} title="Draw another separate part">+ Part</button>
+          <button
+            className="selectionBarBtn danger"
+            onClick={onDeleteRing}
+            disabled={!canDelete}
+            title={canDelete ? "Delete the highlighted hole or part" : "Grab a vertex of a hole or of one of several parts first"}
+          >
+            Delete {ring?.ring > 0 ? "hole" : "part"}
+          </button>
+          <button
+            className="selectionBarBtn"
+            onClick={onUndo}
+            disabled={!steps.undoLabel}
+            title={steps.undoLabel ? `Undo ${steps.undoLabel.toLowerCase()} on this suggestion` : "Nothing to undo on this suggestion"}
+          >
+            ↶
+          </button>
+          <button
+            className="selectionBarBtn"
+            onClick={onRedo}
+            disabled={!steps.redoLabel}
+            title={steps.redoLabel ? `Redo ${steps.redoLabel.toLowerCase()} on this suggestion` : "Nothing to redo on this suggestion"}
+          >
+            ↷
+          </button>
+          <button
+            className="selectionBarBtn"
+            onClick={onReset}
+            disabled={!canReset}
+            title={canReset ? "Restore the model's version of this suggestion" : "Unchanged, or drawn by hand"}
+          >
+            Reset
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
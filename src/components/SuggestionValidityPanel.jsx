@@ -0,0 +1,38 @@
+import { BLOCKING_ISSUES, VALIDITY_LABELS } from "../utils/polygonValidity";
+
+// Selected suggestions with invalid geometry, what is wrong with each and a
+// one-click repair. Hidden while everything is valid.
+export function SuggestionValidityPanel({ issues, onRepair, onRepairAll, onFocus }) {
+  const invalid = [...issues].filter(([, list]) => list.some((i) => BLOCKING_ISSUES.has(i.type)));
+  if (invalid.length === 0) return null;
+
+  return (
+    <div className="validityPanel">
+      <div className="validityHeader">
+        <span className="shapeBarLabel">
+          {invalid.length} invalid suggestion{invalid.length !== 1 ? "s" : ""}
+          <span className="shapeBarDetail">Repair or deselect before training</span>
+        </span>
+        {invalid.length > 1 && (
+          <button className="selectionBarBtn" onClick={onRepairAll}>Repair all</button>
+        )}
+      </div>
+      {invalid.map(([key, list]) => (
+        <div key={key} className="validityRow">
+          <div className="validityRowHead">
+            <span className="validityRowTitle">Suggestion {key.split(":")[1]} · {key.split(":")[0]}</span>
+            <button className="selectionBarBtn" onClick={() => onRepair(key)}>Repair</button>
+          </div>
+          {list.map((issue, i) => (
+            <button key={i} className="validityIssue" onClick={() => onFocus(issue)} title="Show on map">
+              <span className={BLOCKING_ISSUES.has(issue.type) ? "validityIssueType" : "validityIssueType minor"}>
+                {VALIDITY_LABELS[issue.type]}
+              </span>
+              <span className="issuesRowDetail">{issue.detail}</span>
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
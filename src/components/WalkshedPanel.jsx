@@ -0,0 +1,47 @@
+import { WALKSHED_BUDGETS } from "../hooks/useWalkshed";
+
+function formatLength(m) {
+  return m >= 1000 ? `${(m / 1000).toFixed(2)} km` : `${Math.round(m)} m`;
+}
+
+export function WalkshedPanel({ start, budget, onBudgetChange, result, onClear, onClose }) {
+  let text;
+  if (!start)       text = "Click a start node";
+  else if (!result) text = "Computing…";
+  else {
+    text = `${formatLength(result.length)} walkable · ${result.nodeCount} node${result.nodeCount !== 1 ? "s" : ""}`;
+    if (result.area > 0) text += ` · ${(result.area / 10000).toFixed(2)} ha`;
+  }
+
+  return (
+    <div
+      className="selectionBar"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      {WALKSHED_BUDGETS.map((b) => (
+        <button
+          key={b}
+          className={`selectionBarBtn${budget === b ? " active" : ""}`}
+          onClick={() => onBudgetChange(b)}
+        >
+          {b} m
+        </button>
+      ))}
+      <input
+        className="walkshedBudget"
+        type="number"
+        min={0}
+        step={50}
+        value={budget}
+        onChange={(e) => onBudgetChange(Math.max(0, Number(e.target.value) || 0))}
+        title="Distance budget in metres"
+      />
+      <span className="selectionBarCount">{text}</span>
+      <button className="selectionBarBtn" onClick={onClear} disabled={!start} title="Pick a new start (Esc)">
+        Clear
+      </button>
+      <button className="svClose" onClick={onClose} title="Close walkshed">✕</button>
+    </div>
+  );
+}
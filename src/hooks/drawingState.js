@@ -1 +1,12 @@
-export const isDrawingRef = { current: false };
\ No newline at end of file
+export const isDrawingRef = { current: false };
+
+// True while the network select tool owns plain map drags and clicks.
+export const isSelectingRef = { current: false };
+
+// True while an analysis tool (routing, walkshed) uses map clicks to pick
+// nodes.
+export const isPickingNodesRef = { current: false };
+
+// Which history Ctrl+Z / Ctrl+Shift+Z act on: "network" or "suggestions",
+// whichever changed last.
+export const undoScopeRef = { current: "network" };
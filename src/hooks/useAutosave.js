@@ -0,0 +1,67 @@
+import { useEffect, useRef, useState, useCallback } from "react";
+import { saveDraft, loadDraft, clearDraft } from "../utils/draftStore";
+
+const DEBOUNCE_MS = 1500;
+
+export const DRAFT_KEYS = ["network", "network-base", "suggestions"];
+
+/*
+ * Writes `build()` to the draft store under `key` once `trigger` has been
+ * stable for a moment. A null result clears the draft instead, so a saved
+ * or emptied state does not come back as "unsaved work".
+ */
+export function useAutosave(key, trigger, build, enabled) {
+  const buildRef = useRef(build);
+
+  useEffect(() => {
+    buildRef.current = build;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    const timer = setTimeout(() => {
+      const value = buildRef.current();
+      (value ? saveDraft(key, value) : clearDraft(key))
+        .catch((err) => console.warn(`Autosave of ${key} failed:`, err));
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [key, trigger, enabled]);
+}
+
+/*
+ * Reads every draft once on startup. `pending` holds them until the user
+ * restores or discards; autosave should stay off until `ready`, otherwise
+ * the fresh, empty session would overwrite what is waiting to be restored.
+ */
+export function useDraftRestore() {
+  const [pending, setPending] = useState(null);
+  const [ready, setReady]     = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(DRAFT_KEYS.map((k) => loadDraft(k).catch(() => undefined)))
+      .then((values) => {
+        if (cancelled) return;
+        const drafts = Object.fromEntries(DRAFT_KEYS.map((k, i) => [k, values[i] ?? null]));
+        if (drafts.network || drafts.suggestions) setPending(drafts);
+        else setReady(true);
+      })
+      .catch((err) => {
+        console.warn("Could not read drafts:", err);
+        if (!cancelled) setReady(true);
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  const finish = useCallback(() => {
+    setPending(null);
+    setReady(true);
+  }, []);
+
+  const discard = useCallback(() => {
+    Promise.all(DRAFT_KEYS.map(clearDraft)).catch(() => {});
+    finish();
+  }, [finish]);
+
+  return { pending, ready, finish, discard };
+}
@@ -0,0 +1,159 @@
+import { useCallback, useRef, useState } from "react";
+import { undoScopeRef } from "./drawingState";
+
+const EMPTY = { index: 0, length: 0, savedIndex: 0, undoLabel: null, redoLabel: null, stack: [] };
+
+// Position of the latest applied command matching `match` that can be
+// undone out of order, i.e. is `independent` of every command applied
+// after it; -1 if there is none.
+export function latestMatching(stack, index, match, independent) {
+  let i = index - 1;
+  while (i >= 0 && !match(stack[i])) i--;
+  if (i < 0) return -1;
+  for (let j = i + 1; j < index; j++) if (!independent(stack[i], stack[j])) return -1;
+  return i;
+}
+
+// Same for the earliest undone command, redone ahead of those before it.
+export function nextMatching(stack, index, match, independent) {
+  let i = index;
+  while (i < stack.length && !match(stack[i])) i++;
+  if (i >= stack.length) return -1;
+  for (let j = index; j < i; j++) if (!independent(stack[i], stack[j])) return -1;
+  return i;
+}
+
+/*
+ * Linear undo/redo stack. `apply` and `revert` receive a command object and
+ * must be stable (refs only). `savedIndex` marks the position matching the
+ * persisted state, so `dirty` is simply "not at that position". Histories
+ * given a `scope` take over the Ctrl+Z shortcuts (undoScopeRef) whenever
+ * they change.
+ */
+export function useCommandHistory(apply, revert, scope = null) {
+  const stateRef = useRef({ stack: [], index: 0, savedIndex: 0 });
+  const [snapshot, setSnapshot] = useState(EMPTY);
+
+  const sync = useCallback(() => {
+    const { stack, index, savedIndex } = stateRef.current;
+    setSnapshot({
+      index,
+      length:    stack.length,
+      savedIndex,
+      undoLabel: stack[index - 1]?.label ?? null,
+      redoLabel: stack[index]?.label ?? null,
+      stack:     [...stack],
+    });
+  }, []);
+
+  const claim = useCallback(() => {
+    if (scope) undoScopeRef.current = scope;
+  }, [scope]);
+
+  // Pushes a command whose effects the caller has already applied.
+  const record = useCallback((command) => {
+    const h = stateRef.current;
+    if (h.savedIndex > h.index) h.savedIndex = -1;
+    h.stack.splice(h.index);
+    h.stack.push(command);
+    h.index = h.stack.length;
+    claim();
+    sync();
+  }, [claim, sync]);
+
+  const execute = useCallback((command) => {
+    apply(command);
+    record(command);
+  }, [apply, record]);
+
+  const undo = useCallback(() => {
+    const h = stateRef.current;
+    if (h.index === 0) return false;
+    h.index -= 1;
+    revert(h.stack[h.index]);
+    claim();
+    sync();
+    return true;
+  }, [revert, claim, sync]);
+
+  const redo = useCallback(() => {
+    const h = stateRef.current;
+    if (h.index >= h.stack.length) return false;
+    apply(h.stack[h.index]);
+    h.index += 1;
+    claim();
+    sync();
+    return true;
+  }, [apply, claim, sync]);
+
+  // Undoes one earlier command while keeping the ones after it, which then
+  // leaves it as the next redo. See latestMatching.
+  const undoWhere = useCallback((match, independent) => {
+    const h = stateRef.current;
+    const i = latestMatching(h.stack, h.index, match, independent);
+    if (i === -1) return false;
+    const [command] = h.stack.splice(i, 1);
+    revert(command);
+    if (h.savedIndex > i) h.savedIndex = -1;
+    h.index -= 1;
+    h.stack.splice(h.index, 0, command);
+    claim();
+    sync();
+    return true;
+  }, [revert, claim, sync]);
+
+  const redoWhere = useCallback((match, independent) => {
+    const h = stateRef.current;
+    const i = nextMatching(h.stack, h.index, match, independent);
+    if (i === -1) return false;
+    const [command] = h.stack.splice(i, 1);
+    apply(command);
+    if (h.savedIndex > h.index) h.savedIndex = -1;
+    h.stack.splice(h.index, 0, command);
+    h.index += 1;
+    claim();
+    sync();
+    return true;
+  }, [apply, claim, sync]);
+
+  const markSaved = useCallback(() => {
+    stateRef.current.savedIndex = stateRef.current.index;
+    sync();
+  }, [sync]);
+
+  // No position matches what is on disk any more, e.g. after the file
+  // changed underneath the history.
+  const markUnsaved = useCallback(() => {
+    stateRef.current.savedIndex = -1;
+    sync();
+  }, [sync]);
+
+  // Commands between the saved position and now, i.e. what a save persists.
+  const pending = useCallback(() => {
+    const { stack, index, savedIndex } = stateRef.current;
+    return savedIndex >= 0 && savedIndex <= index ? stack.slice(savedIndex, index) : stack.slice(0, index);
+  }, []);
+
+  const isDirty = useCallback(() => {
+    const { index, savedIndex } = stateRef.current;
+    return index !== savedIndex;
+  }, []);
+
+  // `unsaved` starts the fresh history dirty, for state that differs from
+  // what is on disk before any command has run.
+  const reset = useCallback((unsaved = false) => {
+    stateRef.current = { stack: [], index: 0, savedIndex: unsaved ? -1 : 0 };
+    sync();
+  }, [sync]);
+
+  return {
+    execute, record, undo, redo, undoWhere, redoWhere, markSaved, markUnsaved, reset, pending, isDirty,
+    canUndo:   snapshot.index > 0,
+    canRedo:   snapshot.index < snapshot.length,
+    dirty:     snapshot.index !== snapshot.savedIndex,
+    undoLabel: snapshot.undoLabel,
+    redoLabel: snapshot.redoLabel,
+    commands:  snapshot.stack,
+    position:  snapshot.index,
+  };
+}
@@ -0,0 +1,71 @@
+import { useEffect, useRef } from "react";
+
+const SOURCE_ID  = "comparison-source";
+const FILL_LAYER = "comparison-fill";
+const LINE_LAYER = "comparison-line";
+const POINT_LAYER = "comparison-point";
+const COLOR = "#db2777";
+
+// Read-only overlay of an imported file, drawn under the editor layers'
+// colours so it reads as a reference rather than something editable.
+export function useComparisonLayer(mapRef, fc) {
+  const addedRef = useRef(false);
+  const enabled = !!fc;
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !enabled) return;
+
+    const setup = () => {
+      if (addedRef.current) return;
+      map.addSource(SOURCE_ID, { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+      map.addLayer({
+        id: FILL_LAYER, type: "fill", source: SOURCE_ID,
+        filter: ["==", ["geometry-type"], "Polygon"],
+        paint: { "fill-color": COLOR, "fill-opacity": 0.12 },
+      });
+      map.addLayer({
+        id: LINE_LAYER, type: "line", source: SOURCE_ID,
+        filter: ["!=", ["geometry-type"], "Point"],
+        paint: {
+          "line-color":     COLOR,
+          "line-width":     2.5,
+          "line-dasharray": [3, 2],
+          "line-opacity":   0.9,
+        },
+      });
+      map.addLayer({
+        id: POINT_LAYER, type: "circle", source: SOURCE_ID,
+        filter: ["==", ["geometry-type"], "Point"],
+        paint: {
+          "circle-radius":       4,
+          "circle-color":        COLOR,
+          "circle-stroke-width": 1,
+          "circle-stroke-color": "#fff",
+        },
+      });
+      addedRef.current = true;
+    };
+
+    if (map.isStyleLoaded()) setup();
+    else map.once("load", setup);
+
+    return () => {
+      map.off("load", setup);
+      if (!addedRef.current) return;
+      try {
+        if (map.getLayer(POINT_LAYER)) map.removeLayer(POINT_LAYER);
+        if (map.getLayer(LINE_LAYER))  map.removeLayer(LINE_LAYER);
+        if (map.getLayer(FILL_LAYER))  map.removeLayer(FILL_LAYER);
+        if (map.getSource(SOURCE_ID))  map.removeSource(SOURCE_ID);
+      } catch { /* map may be gone */ }
+      addedRef.current = false;
+    };
+  }, [mapRef, enabled]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !addedRef.current || !fc) return;
+    map.getSource(SOURCE_ID)?.setData(fc);
+  }, [mapRef, fc, enabled]);
+}
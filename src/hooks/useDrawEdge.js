@@ -0,0 +1,185 @@
+import { useEffect, useRef } from "react";
+import { isDrawingRef } from "./drawingState";
+
+const DRAW_SOURCE = "draw-edge-source";
+const DRAW_LINE   = "draw-edge-line";
+const DRAW_VERTS  = "draw-edge-verts";
+
+export function useDrawEdge(mapRef, isDrawing, findSnap, onComplete, onCancel) {
+  const clicksRef     = useRef([]);
+  const cursorRef     = useRef(null);
+  const addedRef      = useRef(false);
+  const findSnapRef   = useRef(findSnap);
+  const onCompleteRef = useRef(onComplete);
+  const onCancelRef   = useRef(onCancel);
+
+  useEffect(() => {
+    findSnapRef.current   = findSnap;
+    onCompleteRef.current = onComplete;
+    onCancelRef.current   = onCancel;
+  });
+
+  useEffect(() => {
+    isDrawingRef.current = isDrawing;
+    return () => { isDrawingRef.current = false; };
+  }, [isDrawing]);
+
+  useEffect(() => {
+    if (!isDrawing) return;
+    const map = mapRef.current;
+    if (!map) return;
+
+    clicksRef.current = [];
+    cursorRef.current = null;
+
+    const h = {};
+    let clickTimer = null;
+
+    const toClick = (lngLat) => {
+      const snap = findSnapRef.current?.(lngLat) ?? null;
+      return snap
+        ? { lng: snap.lng, lat: snap.lat, snap }
+        : { lng: lngLat.lng, lat: lngLat.lat, snap: null };
+    };
+
+    const buildFC = () => {
+      const clicks = clicksRef.current;
+      const cursor = cursorRef.current;
+      const coords = clicks.map((c) => [c.lng, c.lat]);
+      const features = [];
+
+      if (coords.length >= 1 && cursor) {
+        features.push({
+          type: "Feature",
+          geometry: { type: "LineString", coordinates: [coords[coords.length - 1], [cursor.lng, cursor.lat]] },
+          properties: { kind: "preview" },
+        });
+      }
+      if (coords.length >= 2) {
+        features.push({
+          type: "Feature",
+          geometry: { type: "LineString", coordinates: coords },
+          properties: { kind: "chain" },
+        });
+      }
+      for (const c of clicks) {
+        features.push({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [c.lng, c.lat] },
+          properties: { kind: "vertex", snapped: !!c.snap },
+        });
+      }
+      if (cursor?.snap) {
+        features.push({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [cursor.lng, cursor.lat] },
+          properties: { kind: "snap" },
+        });
+      }
+      return { type: "FeatureCollection", features };
+    };
+
+    const sync = () => map.getSource(DRAW_SOURCE)?.setData(buildFC());
+
+    const finish = () => {
+      const clicks = clicksRef.current;
+      if (clicks.length >= 2) onCompleteRef.current(clicks);
+      else onCancelRef.current?.();
+    };
+
+    h.click = (e) => {
+      if (clickTimer !== null) { clearTimeout(clickTimer); clickTimer = null; return; }
+
+      clickTimer = setTimeout(() => {
+        clickTimer = null;
+        clicksRef.current = [...clicksRef.current, toClick(e.lngLat)];
+        sync();
+      }, 220);
+    };
+
+    h.dblclick = (e) => {
+      e.preventDefault();
+      if (clickTimer !== null) { clearTimeout(clickTimer); clickTimer = null; }
+      clicksRef.current = [...clicksRef.current, toClick(e.lngLat)];
+      finish();
+    };
+
+    h.mousemove = (e) => {
+      cursorRef.current = toClick(e.lngLat);
+      sync();
+    };
+
+    h.keydown = (e) => {
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      if (e.key === "Escape") onCancelRef.current?.();
+      else if (e.key === "Enter") finish();
+      else if (e.key === "Backspace" && clicksRef.current.length) {
+        clicksRef.current = clicksRef.current.slice(0, -1);
+        sync();
+      }
+    };
+
+    const setup = () => {
+      if (!map.getSource(DRAW_SOURCE)) {
+        map.addSource(DRAW_SOURCE, {
+          type: "geojson",
+          data: { type: "FeatureCollection", features: [] },
+        });
+
+        map.addLayer({
+          id: DRAW_LINE, type: "line", source: DRAW_SOURCE,
+          paint: {
+            "line-color":     "#e85d04",
+            "line-width":     3,
+            "line-dasharray": [2, 2],
+            "line-opacity":   0.9,
+          },
+        });
+
+        map.addLayer({
+          id: DRAW_VERTS, type: "circle", source: DRAW_SOURCE,
+          filter: ["in", ["get", "kind"], ["literal", ["vertex", "snap"]]],
+          paint: {
+            "circle-radius":       ["case", ["==", ["get", "kind"], "snap"], 8, 5],
+            "circle-color":        ["case", ["==", ["get", "kind"], "snap"], "rgba(0,0,0,0)", "#e85d04"],
+            "circle-stroke-width": 2,
+            "circle-stroke-color": ["case", ["==", ["get", "kind"], "snap"], "#2563eb", "#fff"],
+          },
+        });
+      }
+
+      addedRef.current = true;
+      map.getCanvas().style.cursor = "crosshair";
+
+      map.on("click",     h.click);
+      map.on("dblclick",  h.dblclick);
+      map.on("mousemove", h.mousemove);
+      document.addEventListener("keydown", h.keydown);
+    };
+
+    if (map.isStyleLoaded()) setup();
+    else map.once("load", setup);
+
+    return () => {
+      if (clickTimer !== null) { clearTimeout(clickTimer); clickTimer = null; }
+      clicksRef.current = [];
+      cursorRef.current = null;
+
+      map.off("load", setup);
+      map.off("click",     h.click);
+      map.off("dblclick",  h.dblclick);
+      map.off("mousemove", h.mousemove);
+      if (addedRef.current) {
+        map.getCanvas().style.cursor = "";
+        try {
+          if (map.getLayer(DRAW_VERTS))  map.removeLayer(DRAW_VERTS);
+          if (map.getLayer(DRAW_LINE))   map.removeLayer(DRAW_LINE);
+          if (map.getSource(DRAW_SOURCE)) map.removeSource(DRAW_SOURCE);
+        } catch { /* map may be gone */ }
+      }
+      document.removeEventListener("keydown", h.keydown);
+      addedRef.current = false;
+    };
+  }, [mapRef, isDrawing]);
+}
@@ -1,11 +1,15 @@
 import { useEffect, useRef } from "react";
 import { isDrawingRef } from "./drawingState";
+import { ringSelfIntersects } from "../utils/polygonValidity";
+import { INVALID_COLOR } from "./useSelectedSuggestionsLayer";
 
 const DRAW_SOURCE = "draw-poly-source";
 const DRAW_LINE   = "draw-poly-line";
 const DRAW_VERTS  = "draw-poly-verts";
 
-export function useDrawPolygon(mapRef, isDrawing, onComplete, onCancel) {
+// `shape` "line" draws an open polyline instead: no closing segment, and
+// onComplete receives the points as placed.
+export function useDrawPolygon(mapRef, isDrawing, onComplete, onCancel, shape = "polygon") {
   const ringRef      = useRef([]);
   const cursorRef    = useRef(null);
   const addedRef     = useRef(false);
@@ -26,6 +30,7 @@ export function useDrawPolygon(mapRef, isDrawing, onComplete, onCancel) {
 
     ringRef.current   = [];
     cursorRef.current = null;
+    const isLine = shape === "line";
 
     const h = {};
     let clickTimer = null; 
@@ -35,26 +40,28 @@ export function useDrawPolygon(mapRef, isDrawing, onComplete, onCancel) {
       const ring   = ringRef.current;
       const cursor = cursorRef.current;
       const features = [];
+      // Red while the ring, closed at the cursor, would cross itself.
+      const invalid = !isLine && ringSelfIntersects(cursor ? [...ring, cursor] : ring);
 
       if (ring.length >= 1 && cursor) {
         features.push({
           type: "Feature",
           geometry: { type: "LineString", coordinates: [...ring, cursor] },
-          properties: { kind: "preview" },
+          properties: { kind: "preview", invalid },
         });
       }
-      if (ring.length >= 3 && cursor) {
+      if (!isLine && ring.length >= 3 && cursor) {
         features.push({
           type: "Feature",
           geometry: { type: "LineString", coordinates: [ring[ring.length - 1], ring[0]] },
-          properties: { kind: "close" },
+          properties: { kind: "close", invalid },
         });
       }
       if (ring.length >= 2) {
         features.push({
           type: "Feature",
           geometry: { type: "LineString", coordinates: ring },
-          properties: { kind: "ring" },
+          properties: { kind: "ring", invalid },
         });
       }
       for (const pt of ring) {
@@ -71,7 +78,9 @@ export function useDrawPolygon(mapRef, isDrawing, onComplete, onCancel) {
 
     const finish = () => {
       const ring = ringRef.current;
-      if (ring.length >= 3) {
+      if (isLine) {
+        if (ring.length >= 2) onCompleteRef.current(ring);
+      } else if (ring.length >= 3) {
         const closed = [...ring, ring[0]];
         onCompleteRef.current(closed);
       }
@@ -89,7 +98,7 @@ export function useDrawPolygon(mapRef, isDrawing, onComplete, onCancel) {
         clickTimer = null;
         const ring = ringRef.current;
 
-        if (ring.length >= 3) {
+        if (!isLine && ring.length >= 3) {
           const [firstLng, firstLat] = ring[0];
           const firstPx = map.project([firstLng, firstLat]);
           const clickPx = map.project([e.lngLat.lng, e.lngLat.lat]);
@@ -127,7 +136,7 @@ export function useDrawPolygon(mapRef, isDrawing, onComplete, onCancel) {
         map.addLayer({
           id: DRAW_LINE, type: "line", source: DRAW_SOURCE,
           paint: {
-            "line-color":      "#22c55e",
+            "line-color":      ["case", ["get", "invalid"], INVALID_COLOR, "#22c55e"],
             "line-width":      2,
             "line-dasharray":  [3, 3],
             "line-opacity":    0.85,
@@ -180,5 +189,5 @@ export function useDrawPolygon(mapRef, isDrawing, onComplete, onCancel) {
       document.removeEventListener("keydown", h.keydown);
       addedRef.current = false;
     };
-  }, [mapRef, isDrawing]); 
+  }, [mapRef, isDrawing, shape]);
 }
\ No newline at end of file
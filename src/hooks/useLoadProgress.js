@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { subscribeLoads, getLoads } from "../workers/dataClient";
+
+// Worker loads in flight: [{ label, phase, loaded, total }].
+export function useLoadProgress() {
+  return useSyncExternalStore(subscribeLoads, getLoads);
+}
@@ -0,0 +1,81 @@
+import { useEffect, useRef } from "react";
+
+const SOURCE_ID = "network-merge-source";
+const LINE_ID   = "network-merge-line";
+const POINT_ID  = "network-merge-point";
+const LOCAL_COLOR  = "#e85d04";
+const REMOTE_COLOR = "#7c3aed";
+
+function conflictsFC(conflicts, activeKey) {
+  const features = [];
+  for (const c of conflicts) {
+    for (const side of ["local", "remote"]) {
+      const f = c[side];
+      if (!f?.geometry) continue;
+      features.push({
+        type: "Feature",
+        geometry: f.geometry,
+        properties: { key: c.key, side, active: c.key === activeKey },
+      });
+    }
+  }
+  return { type: "FeatureCollection", features };
+}
+
+// Draws both versions of every merge conflict: local in orange, the one on
+// disk dashed in purple.
+export function useMergeLayer(mapRef, conflicts, activeKey) {
+  const addedRef = useRef(false);
+  const enabled = conflicts.length > 0;
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !enabled) return;
+
+    const setup = () => {
+      if (addedRef.current) return;
+      map.addSource(SOURCE_ID, { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+      map.addLayer({
+        id: LINE_ID, type: "line", source: SOURCE_ID,
+        filter: ["!=", ["geometry-type"], "Point"],
+        paint: {
+          "line-color":     ["match", ["get", "side"], "local", LOCAL_COLOR, REMOTE_COLOR],
+          "line-width":     ["case", ["get", "active"], 7, 4],
+          "line-opacity":   0.8,
+          "line-dasharray": ["match", ["get", "side"], "local", ["literal", [1, 0]], ["literal", [2, 1.5]]],
+        },
+      });
+      map.addLayer({
+        id: POINT_ID, type: "circle", source: SOURCE_ID,
+        filter: ["==", ["geometry-type"], "Point"],
+        paint: {
+          "circle-radius":       ["case", ["get", "active"], 9, 6],
+          "circle-color":        "rgba(0,0,0,0)",
+          "circle-stroke-width": 2.5,
+          "circle-stroke-color": ["match", ["get", "side"], "local", LOCAL_COLOR, REMOTE_COLOR],
+        },
+      });
+      addedRef.current = true;
+    };
+
+    if (map.isStyleLoaded()) setup();
+    else map.once("load", setup);
+
+    return () => {
+      map.off("load", setup);
+      if (!addedRef.current) return;
+      try {
+        if (map.getLayer(POINT_ID))   map.removeLayer(POINT_ID);
+        if (map.getLayer(LINE_ID))    map.removeLayer(LINE_ID);
+        if (map.getSource(SOURCE_ID)) map.removeSource(SOURCE_ID);
+      } catch { /* map may be gone */ }
+      addedRef.current = false;
+    };
+  }, [mapRef, enabled]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !addedRef.current) return;
+    map.getSource(SOURCE_ID)?.setData(conflictsFC(conflicts, activeKey));
+  }, [mapRef, enabled, conflicts, activeKey]);
+}
@@ -1,41 +1,62 @@
 import { useEffect, useState, useCallback } from "react";
+import { request, trackLoad } from "../workers/dataClient";
 
 let cachedData = null;
 let loadingPromise = null;
+let prepared = null;
+
+// Reads network.geojson along with the hash of its exact bytes, which the
+// save endpoint compares against the file on disk to detect stale saves.
+// Fetching and parsing happen in the data worker.
+export function fetchNetwork() {
+  return request("fetchNetwork");
+}
+
+// The graph and map caches the worker built for `data`. Handed out once,
+// since the editor mutates them; later installs parse for themselves.
+export function takePreparedGraph(data) {
+  if (!prepared || prepared.data !== data) return null;
+  const { net, caches } = prepared;
+  prepared = null;
+  return { net, caches };
+}
+
+// Every caller shares the load in flight; a failed one is forgotten so
+// the next call tries again.
+function loadNetwork() {
+  if (loadingPromise) return loadingPromise;
+  loadingPromise = trackLoad("Network", "loadNetwork").then(({ data, version, prepared: graph }) => {
+    cachedData = { data, version };
+    prepared = { data, ...graph };
+    return cachedData;
+  }, (err) => {
+    loadingPromise = null;
+    throw err;
+  });
+  return loadingPromise;
+}
 
 export function useNetworkData() {
-  const [data, setData] = useState(cachedData);
-
-  const load = useCallback(() => {
-    const url = `/network.geojson?t=${Date.now()}`;
-
-    loadingPromise = fetch(url)
-      .then((res) => {
-        if (!res.ok) throw new Error(`Failed to fetch network.geojson: ${res.status}`);
-        return res.json();
-      })
-      .then((fc) => {
-        cachedData = fc;
-        setData(fc);
-        return fc;
-      });
-
-    return loadingPromise;
-  }, []);
+  const [state, setState] = useState(cachedData);
 
   useEffect(() => {
     if (cachedData) {
-      setData(cachedData);
+      setState(cachedData);
       return;
     }
-    load().catch((err) => console.error("Failed to load network data:", err));
-  }, [load]);
+    loadNetwork()
+      .then(setState)
+      .catch((err) => console.error("Failed to load network data:", err));
+  }, []);
 
   const reload = useCallback(() => {
     cachedData = null;
     loadingPromise = null;
-    return load();
-  }, [load]);
+    return loadNetwork().then((loaded) => {
+      setState(loaded);
+      return loaded.data;
+    });
+  }, []);
 
-  return { data, reload };
-}
\ No newline at end of file
+  return { data: state?.data ?? null, version: state?.version ?? null, reload };
+}
@@ -0,0 +1,109 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { diffNetworks } from "../utils/networkDiff";
+import { exportToGeoJSON } from "../utils/networkGraph";
+
+const SOURCE_ID   = "network-diff-source";
+const BEFORE_ID   = "network-diff-before";
+const LINE_ID     = "network-diff-line";
+const DEBOUNCE_MS = 300;
+const EMPTY_FC    = { type: "FeatureCollection", features: [] };
+
+export const DIFF_COLORS = { added: "#16a34a", removed: "#dc2626", moved: "#d97706" };
+
+function diffFC(diff, activeIndex) {
+  if (!diff) return EMPTY_FC;
+  const features = [];
+  diff.changes.forEach((c, i) => {
+    const active = i === activeIndex;
+    if (c.before) {
+      features.push({ type: "Feature", geometry: c.before.geometry, properties: { kind: "before", active } });
+    }
+    features.push({ type: "Feature", geometry: c.feature.geometry, properties: { kind: c.kind, active } });
+  });
+  return { type: "FeatureCollection", features };
+}
+
+/*
+ * Compares the editor's live graph with `referenceFC` and draws added,
+ * removed and moved edges; moved edges also show where they were. The
+ * diff is recomputed as edits are made. `focus` steps to one change.
+ */
+export function useNetworkDiff(mapRef, graphRef, revision, referenceFC) {
+  const [diff, setDiff]               = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const addedRef = useRef(false);
+  const enabled = !!referenceFC;
+
+  useEffect(() => {
+    if (!referenceFC) return;
+    const timer = setTimeout(() => {
+      setDiff(diffNetworks(referenceFC, exportToGeoJSON(graphRef.current)));
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [graphRef, revision, referenceFC]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !enabled) return;
+
+    const setup = () => {
+      if (addedRef.current) return;
+      map.addSource(SOURCE_ID, { type: "geojson", data: EMPTY_FC });
+      map.addLayer({
+        id: BEFORE_ID, type: "line", source: SOURCE_ID,
+        filter: ["==", ["get", "kind"], "before"],
+        paint: {
+          "line-color":     "#6b7280",
+          "line-width":     ["case", ["get", "active"], 4, 2.5],
+          "line-opacity":   0.7,
+          "line-dasharray": [1.5, 1.5],
+        },
+      });
+      map.addLayer({
+        id: LINE_ID, type: "line", source: SOURCE_ID,
+        filter: ["!=", ["get", "kind"], "before"],
+        layout: { "line-cap": "round" },
+        paint: {
+          "line-color": ["match", ["get", "kind"],
+            "added", DIFF_COLORS.added, "removed", DIFF_COLORS.removed, DIFF_COLORS.moved],
+          "line-width":   ["case", ["get", "active"], 9, 5],
+          "line-opacity": ["case", ["get", "active"], 0.9, 0.6],
+        },
+      });
+      addedRef.current = true;
+    };
+
+    if (map.isStyleLoaded()) setup();
+    else map.once("load", setup);
+
+    return () => {
+      map.off("load", setup);
+      if (!addedRef.current) return;
+      try {
+        if (map.getLayer(LINE_ID))    map.removeLayer(LINE_ID);
+        if (map.getLayer(BEFORE_ID))  map.removeLayer(BEFORE_ID);
+        if (map.getSource(SOURCE_ID)) map.removeSource(SOURCE_ID);
+      } catch { /* map may be gone */ }
+      addedRef.current = false;
+    };
+  }, [mapRef, enabled]);
+
+  const visible = enabled ? diff : null;
+  const active = visible && activeIndex < visible.changes.length ? activeIndex : -1;
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !addedRef.current) return;
+    map.getSource(SOURCE_ID)?.setData(diffFC(visible, active));
+  }, [mapRef, visible, active]);
+
+  const focus = useCallback((index) => {
+    const c = diff?.changes[index];
+    setActiveIndex(c ? index : -1);
+    if (!c) return;
+    const [w, s, e, n] = c.bbox;
+    mapRef.current?.fitBounds([[w, s], [e, n]], { padding: 120, maxZoom: 20, duration: 600 });
+  }, [mapRef, diff]);
+
+  return { diff: visible, activeIndex: active, focus };
+}
@@ -1,5 +1,21 @@
 import { useEffect, useRef, useState, useCallback } from "react";
-
+import { useCommandHistory } from "./useCommandHistory";
+import {
+  parseNetwork, buildCaches, closestSegmentIdx, exportToGeoJSON,
+  moveNodeTo, applyOps, invertOps, snapshotNode, snapshotEdge,
+  newId, nearestOnPolyline, splitEdgeOps, dissolveNodeOps, mergeNodesOps,
+  neighbourIds, distanceMeters, spatialIndex,
+} from "../utils/networkGraph";
+import { isDrawingRef, isSelectingRef, isPickingNodesRef, undoScopeRef } from "./drawingState";
+import { edgeColorExpression } from "../utils/edgeSchema";
+import { pointInRing, featureRings } from "../utils/geometry";
+import { featuresInBBox, screenBBox } from "../utils/spatialIndex";
+import { alignToBase, threeWayMerge, applyMerge } from "../utils/networkMerge";
+import { fetchNetwork, takePreparedGraph } from "./useNetworkData";
+import { planarize } from "../utils/networkPlanarize";
+
+const SNAP_SOURCE = "editor-snap-source";
+const SNAP_LAYER  = "editor-snap-layer";
 const EDGE_SOURCE = "editor-edges-source";
 const EDGE_LAYER  = "editor-edges-layer";
 const EDGE_HIT    = "editor-edges-hit";
@@ -7,267 +23,665 @@ const NODE_SOURCE = "editor-nodes-source";
 const NODE_LAYER  = "editor-nodes-layer";
 const MESO_ZOOM   = 16;
 const MICRO_ZOOM = 18.5;
-
-function parseNetwork(geojson) {
-  const byKey = new Map();
-  const edges = new Map();
-  const nodeEdgeIndex = new Map();
-  let nc = 0, ec = 0;
-
-  const getNode = (lng, lat) => {
-    const key = `${lng.toFixed(6)},${lat.toFixed(6)}`;
-    if (!byKey.has(key)) {
-      const id = `n${nc++}`;
-      byKey.set(key, { id, lng, lat });
-    }
-    return byKey.get(key).id;
-  };
-
-  for (const f of geojson?.features ?? []) {
-    const rings =
-      f.geometry.type === "LineString"
-        ? [f.geometry.coordinates]
-        : f.geometry.coordinates;
-    for (const ring of rings) {
-      const nodeIds = ring.map(([lng, lat]) => getNode(lng, lat));
-      if (nodeIds.length < 2) continue;
-      const id = `e${ec++}`;
-      edges.set(id, { id, nodeIds });
-      for (const nid of nodeIds) {
-        if (!nodeEdgeIndex.has(nid)) nodeEdgeIndex.set(nid, new Set());
-        nodeEdgeIndex.get(nid).add(id);
-      }
-    }
-  }
-
-  const nodes = new Map([...byKey.values()].map((n) => [n.id, n]));
-  return { nodes, edges, nodeEdgeIndex };
+const SELECTED_COLOR = "#2563eb";
+const PICKED_COLOR   = "#0ea5e9";
+const SVG_NS         = "http://www.w3.org/2000/svg";
+const EMPTY_FC       = { type: "FeatureCollection", features: [] };
+
+export const DEFAULT_SNAP_OPTIONS = {
+  enabled:     true,
+  nodes:       true,
+  edges:       true,
+  polygons:    false,
+  tolerancePx: 12,
+};
+
+// Every node that moves with the selection: picked nodes plus the
+// vertices of picked edges.
+function selectionNodeIds({ edges }, { nodeIds, edgeIds }) {
+  const ids = new Set(nodeIds);
+  for (const eid of edgeIds) for (const nid of edges.get(eid)?.nodeIds ?? []) ids.add(nid);
+  return ids;
 }
 
-function buildCaches({ nodes, edges }) {
-  const nodeFeatMap = new Map();
-  const edgeFeatMap = new Map();
-
-  const nodeFC = {
-    type: "FeatureCollection",
-    features: [...nodes.values()].map((n) => {
-      const f = {
-        type: "Feature",
-        properties: { id: n.id },
-        geometry: { type: "Point", coordinates: [n.lng, n.lat] },
-      };
-      nodeFeatMap.set(n.id, f);
-      return f;
-    }),
-  };
-
-  const edgeFC = {
-    type: "FeatureCollection",
-    features: [...edges.values()].flatMap((e) => {
-      const coords = e.nodeIds.map((id) => nodes.get(id)).filter(Boolean).map((n) => [n.lng, n.lat]);
-      if (coords.length < 2) return [];
-      const f = {
-        type: "Feature",
-        properties: { id: e.id },
-        geometry: { type: "LineString", coordinates: coords },
-      };
-      edgeFeatMap.set(e.id, f);
-      return f;
-    }),
-  };
-
-  return { nodeFC, edgeFC, nodeFeatMap, edgeFeatMap };
-}
-
-
-function closestSegmentIdx(nodeIds, nodes, lng, lat) {
-  let best = 0, bestD = Infinity;
-  for (let i = 0; i < nodeIds.length - 1; i++) {
-    const a = nodes.get(nodeIds[i]);
-    const b = nodes.get(nodeIds[i + 1]);
-    if (!a || !b) continue;
-    const d = ((a.lng + b.lng) / 2 - lng) ** 2 + ((a.lat + b.lat) / 2 - lat) ** 2;
-    if (d < bestD) { bestD = d; best = i; }
-  }
-  return best;
-}
-
-
-function exportToGeoJSON({ nodes, edges }) {
-  const features = [];
-  for (const edge of edges.values()) {
-    const coords = edge.nodeIds
-      .map((id) => nodes.get(id))
-      .filter(Boolean)
-      .map((n) => [n.lng, n.lat]);
-    if (coords.length < 2) continue;
-    features.push({
-      type: "Feature",
-      properties: {},
-      geometry: { type: "LineString", coordinates: coords },
-    });
-  }
-  return { type: "FeatureCollection", features };
-}
-
-
-export function useNetworkEditor(mapRef, networkData) {
+export function useNetworkEditor(mapRef, networkData, {
+  networkVersion = null,
+  selectMode   = false,
+  snap         = DEFAULT_SNAP_OPTIONS,
+  snapFeatures = null,
+} = {}) {
   const addedRef       = useRef(false);
   const netRef         = useRef({ nodes: new Map(), edges: new Map(), nodeEdgeIndex: new Map() });
   const cacheRef       = useRef({ nodeFC: null, edgeFC: null, nodeFeatMap: new Map(), edgeFeatMap: new Map() });
   const draggingRef    = useRef(null);
   const hoveredNodeRef = useRef(null);
 
-  const [contextMenu, setContextMenu] = useState(null);
-  const [dirty, setDirty]             = useState(false);
-  const [saving, setSaving]           = useState(false);
+  const [contextMenu, setContextMenu]   = useState(null);
+  const [saving, setSaving]             = useState(false);
+  const [selectedEdge, setSelectedEdge] = useState(null);
+  const [revision, setRevision]         = useState(0);
+  const keepGraphRef                    = useRef(false);
+  // What the current edits are based on: the file as loaded (in export
+  // form, with ids) and the hash the server knows it by.
+  const baseRef                         = useRef({ fc: null, version: null });
+  const [conflict, setConflict]         = useState(null);
+  const selectedIdRef                   = useRef(null);
+
+  // Bulk selection, separate from the single edge shown in the inspector.
+  const selectionRef                    = useRef({ nodeIds: new Set(), edgeIds: new Set() });
+  const [selection, setSelectionCounts] = useState({ nodes: 0, edges: 0 });
+  const lassoRef                        = useRef(null);
+
+  const snapRef         = useRef(snap);
+  const snapFeaturesRef = useRef(snapFeatures);
 
-  const rebuild = (map, geojson) => {
-    const net = parseNetwork(geojson);
-    const cache = buildCaches(net);
-    netRef.current = net;
-    cacheRef.current = cache;
-    setDirty(false);
+  useEffect(() => {
+    snapRef.current         = snap;
+    snapFeaturesRef.current = snapFeatures;
+  }, [snap, snapFeatures]);
+
+  const pushData = useCallback(() => {
+    const map = mapRef.current;
+    if (!map || !addedRef.current) return;
+    map.getSource(NODE_SOURCE)?.setData(cacheRef.current.nodeFC);
+    map.getSource(EDGE_SOURCE)?.setData(cacheRef.current.edgeFC);
+  }, [mapRef]);
+
+  const selectEdge = useCallback((edgeId) => {
+    const map = mapRef.current;
+    const prevId = selectedIdRef.current;
+    const edge = edgeId ? netRef.current.edges.get(edgeId) : null;
+    const nextId = edge ? edge.id : null;
     if (map && addedRef.current) {
-      map.getSource(EDGE_SOURCE)?.setData(cache.edgeFC);
-      map.getSource(NODE_SOURCE)?.setData(cache.nodeFC);
+      if (prevId && prevId !== nextId) map.setFeatureState({ source: EDGE_SOURCE, id: prevId }, { selected: false });
+      if (nextId) map.setFeatureState({ source: EDGE_SOURCE, id: nextId }, { selected: true });
     }
-  };
+    selectedIdRef.current = nextId;
+    setSelectedEdge(edge ? { id: edge.id, properties: edge.properties ?? {} } : null);
+  }, [mapRef]);
 
-  useEffect(() => {
-    if (!networkData) return;
-    rebuild(mapRef.current, networkData);
-  }, [networkData, mapRef]);
+  const setSelection = useCallback((nodeIds, edgeIds) => {
+    const map = mapRef.current;
+    const prev = selectionRef.current;
+    const next = { nodeIds: new Set(nodeIds), edgeIds: new Set(edgeIds) };
+    if (map && addedRef.current) {
+      const sync = (source, from, to) => {
+        for (const id of from) if (!to.has(id)) map.setFeatureState({ source, id }, { picked: false });
+        for (const id of to) if (!from.has(id)) map.setFeatureState({ source, id }, { picked: true });
+      };
+      sync(NODE_SOURCE, prev.nodeIds, next.nodeIds);
+      sync(EDGE_SOURCE, prev.edgeIds, next.edgeIds);
+    }
+    selectionRef.current = next;
+    setSelectionCounts({ nodes: next.nodeIds.size, edges: next.edgeIds.size });
+  }, [mapRef]);
 
-  const markDirty = () => setDirty(true);
+  const pruneSelection = useCallback(() => {
+    const { nodes, edges } = netRef.current;
+    const { nodeIds, edgeIds } = selectionRef.current;
+    const keptNodes = [...nodeIds].filter((id) => nodes.has(id));
+    const keptEdges = [...edgeIds].filter((id) => edges.has(id));
+    if (keptNodes.length !== nodeIds.size || keptEdges.length !== edgeIds.size) {
+      setSelection(keptNodes, keptEdges);
+    }
+  }, [setSelection]);
+
+  const applyCommand = useCallback((command) => {
+    applyOps(netRef.current, cacheRef.current, command.ops);
+    pushData();
+    selectEdge(selectedIdRef.current);
+    pruneSelection();
+    setRevision((r) => r + 1);
+  }, [pushData, selectEdge, pruneSelection]);
+
+  const revertCommand = useCallback((command) => {
+    applyOps(netRef.current, cacheRef.current, invertOps(command.ops));
+    pushData();
+    selectEdge(selectedIdRef.current);
+    pruneSelection();
+    setRevision((r) => r + 1);
+  }, [pushData, selectEdge, pruneSelection]);
+
+  const history = useCommandHistory(applyCommand, revertCommand, "network");
+  const { execute, record, undo, redo, markSaved, markUnsaved, reset: resetHistory, pending, isDirty } = history;
+
+  // Edit counts since the last save, grouped by command label.
+  const pendingEdits = useCallback(() => {
+    const byLabel = {};
+    const commands = pending();
+    for (const { label } of commands) byLabel[label] = (byLabel[label] ?? 0) + 1;
+    return { total: commands.length, byLabel };
+  }, [pending]);
+
+  const installGraph = useCallback((net, unsaved, caches = buildCaches(net)) => {
+    netRef.current = net;
+    cacheRef.current = caches;
+    resetHistory(unsaved);
+    pushData();
+    selectEdge(null);
+    setSelection([], []);
+    setRevision((r) => r + 1);
+  }, [resetHistory, pushData, selectEdge, setSelection]);
+
+  const openConflict = useCallback((remoteData, version) => {
+    const base = baseRef.current.fc ?? EMPTY_FC;
+    const remoteFC = alignToBase(remoteData, base);
+    const merge = threeWayMerge(base, exportToGeoJSON(netRef.current), remoteFC);
+    setConflict({ version, remoteFC, merge });
+  }, []);
 
-  const saveNetwork = useCallback(async () => {
+  useEffect(() => {
+    if (!networkData) return;
+    // The reload that follows our own save carries the graph we already
+    // hold, so keep it (and its undo history) instead of re-parsing.
+    if (keepGraphRef.current) {
+      keepGraphRef.current = false;
+      baseRef.current = { fc: networkData, version: networkVersion };
+      return;
+    }
+    // The file changed under unsaved edits (e.g. an inference run
+    // finished): merge rather than silently dropping them.
+    if (isDirty() && baseRef.current.fc) {
+      openConflict(networkData, networkVersion);
+      return;
+    }
+    const prepared = takePreparedGraph(networkData);
+    const net = prepared?.net ?? parseNetwork(networkData);
+    // Ids given to features that had none are not edits; they reach the
+    // file with the next save, which writes every id.
+    baseRef.current = { fc: exportToGeoJSON(net), version: networkVersion };
+    installGraph(net, false, prepared?.caches);
+  }, [networkData, networkVersion, isDirty, openConflict, installGraph]);
+
+  // `choices` maps conflict keys to "local" or "remote". The merge is one
+  // undoable edit on top of the existing history.
+  const resolveConflict = useCallback((choices) => {
+    if (!conflict) return;
+    // Re-run against the graph as it is now, in case editing continued
+    // while the merge view was open.
+    const cur = netRef.current;
+    const merge = threeWayMerge(baseRef.current.fc ?? EMPTY_FC, exportToGeoJSON(cur), conflict.remoteFC);
+    baseRef.current = { fc: conflict.remoteFC, version: conflict.version };
+    execute({
+      label: "Merge disk changes",
+      ops:   [{ type: "replaceGraph", from: { nodes: cur.nodes, edges: cur.edges }, to: applyMerge(merge, choices) }],
+    });
+    markUnsaved();
+    setConflict(null);
+  }, [conflict, execute, markUnsaved]);
+
+  const discardLocalEdits = useCallback(() => {
+    if (!conflict) return;
+    baseRef.current = { fc: conflict.remoteFC, version: conflict.version };
+    installGraph(parseNetwork(conflict.remoteFC), false);
+    setConflict(null);
+  }, [conflict, installGraph]);
+
+  // Autosave payload: null when there is nothing unsaved. The base is
+  // returned separately since it only changes when the file does.
+  const getDraft = useCallback(() => {
+    if (!isDirty()) return null;
+    return {
+      savedAt:     Date.now(),
+      fc:          exportToGeoJSON(netRef.current),
+      baseVersion: baseRef.current.version,
+      edits:       pendingEdits(),
+    };
+  }, [isDirty, pendingEdits]);
+
+  const getBase = useCallback(() => baseRef.current, []);
+
+  // Loads an autosaved graph over the freshly loaded file. When the file
+  // changed since the draft was taken, go straight to the merge view.
+  const restoreDraft = useCallback((draft, base) => {
+    const loaded = baseRef.current;
+    installGraph(parseNetwork(draft.fc), true);
+    if (draft.baseVersion && loaded.version && draft.baseVersion !== loaded.version) {
+      baseRef.current = {
+        fc:      base?.version === draft.baseVersion ? base.fc : loaded.fc,
+        version: draft.baseVersion,
+      };
+      if (networkData) openConflict(networkData, loaded.version);
+    }
+  }, [installGraph, openConflict, networkData]);
+
+  // Replaces the graph with an imported network as one undoable edit;
+  // saving writes it over the file on disk.
+  const replaceNetwork = useCallback((fc) => {
+    const { nodes, edges } = parseNetwork(fc);
+    const cur = netRef.current;
+    execute({
+      label: "Import network",
+      ops:   [{ type: "replaceGraph", from: { nodes: cur.nodes, edges: cur.edges }, to: { nodes, edges } }],
+    });
+  }, [execute]);
+
+  // Nodes every crossing in `options.regions` as one undoable edit, computed
+  // against the graph as it is now. Returns the number of nodes added.
+  const planarizeNetwork = useCallback((options) => {
+    const { ops, nodeCount } = planarize(netRef.current, options);
+    if (ops.length) execute({ label: "Planarize", ops });
+    return nodeCount;
+  }, [execute]);
+
+  // Keeps the local graph as is; the next save overwrites the disk file.
+  const keepLocalEdits = useCallback(() => {
+    if (!conflict) return;
+    baseRef.current = { fc: conflict.remoteFC, version: conflict.version };
+    setConflict(null);
+  }, [conflict]);
+
+  const saveNetwork = useCallback(async (description = "") => {
     const geojson = exportToGeoJSON(netRef.current);
     setSaving(true);
     try {
       const res = await fetch("/api/save-network", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(geojson),
+        body: JSON.stringify({
+          network:     geojson,
+          description,
+          edits:       pendingEdits(),
+          baseVersion: baseRef.current.version,
+        }),
       });
+      if (res.status === 409) {
+        const remote = await fetchNetwork();
+        openConflict(remote.data, remote.version);
+        return false;
+      }
       if (!res.ok) {
         const text = await res.text();
         throw new Error(`Save failed (${res.status}): ${text}`);
       }
-      setDirty(false);
+      // The new base right away, so a second save before the reload lands
+      // does not conflict with this one.
+      const { version } = await res.json();
+      baseRef.current = { fc: geojson, version };
+      markSaved();
+      keepGraphRef.current = true;
       console.log("Network saved successfully");
+      return true;
     } catch (err) {
       console.error("Failed to save network:", err);
       alert(`Failed to save network: ${err.message}`);
+      return false;
     } finally {
       setSaving(false);
     }
+  }, [markSaved, pendingEdits, openConflict]);
+
+  // For when the reload after a save fails: the next network to arrive is
+  // then not the file we just wrote, and must not be skipped.
+  const reloadFailed = useCallback(() => {
+    keepGraphRef.current = false;
   }, []);
 
-  useEffect(() => {
+  // Picks the nodes inside a screen-space ring, plus the edges whose
+  // vertices all fall inside it.
+  const selectInRing = useCallback((ring, additive) => {
     const map = mapRef.current;
     if (!map) return;
+    const net = netRef.current;
+    const { nodes, edges, nodeEdgeIndex } = net;
+    const inside = new Set();
+    for (const id of spatialIndex(net).nodes.search(screenBBox(map, ring))) {
+      const n = nodes.get(id);
+      const p = map.project([n.lng, n.lat]);
+      if (pointInRing(p.x, p.y, ring)) inside.add(n.id);
+    }
+    const inEdges = new Set();
+    for (const nid of inside) {
+      for (const eid of nodeEdgeIndex.get(nid) ?? []) {
+        const edge = edges.get(eid);
+        if (edge && edge.nodeIds.every((id) => inside.has(id))) inEdges.add(eid);
+      }
+    }
+    const prev = selectionRef.current;
+    if (additive) setSelection([...prev.nodeIds, ...inside], [...prev.edgeIds, ...inEdges]);
+    else setSelection(inside, inEdges);
+  }, [mapRef, setSelection]);
 
-    const onMouseMove = (e) => {
-      if (!draggingRef.current) return;
-      const { nodeId } = draggingRef.current;
-      const { lng, lat } = e.lngLat;
-      const { nodes, edges, nodeEdgeIndex } = netRef.current;
-      const { nodeFeatMap, edgeFeatMap, nodeFC, edgeFC } = cacheRef.current;
+  const pickAt = useCallback((point, additive) => {
+    const map = mapRef.current;
+    if (!map || !map.getLayer(NODE_LAYER)) return;
+    const nodeId = map.queryRenderedFeatures(point, { layers: [NODE_LAYER] })[0]?.properties?.id ?? null;
+    const edgeId = nodeId ? null : map.queryRenderedFeatures(point, { layers: [EDGE_HIT] })[0]?.properties?.id ?? null;
+    if (!additive) {
+      setSelection(nodeId ? [nodeId] : [], edgeId ? [edgeId] : []);
+      return;
+    }
+    const { nodeIds, edgeIds } = selectionRef.current;
+    const toggle = (set, id) => {
+      const next = new Set(set);
+      if (id && next.has(id)) next.delete(id);
+      else if (id) next.add(id);
+      return next;
+    };
+    setSelection(toggle(nodeIds, nodeId), toggle(edgeIds, edgeId));
+  }, [mapRef, setSelection]);
 
-      const node = nodes.get(nodeId);
-      if (!node) return;
-      node.lng = lng;
-      node.lat = lat;
+  const clearSelection = useCallback(() => setSelection([], []), [setSelection]);
+
+  // Removes picked edges and every edge touching a picked node, then any
+  // node left without edges by that.
+  const deleteSelection = useCallback(() => {
+    const { nodes, edges, nodeEdgeIndex } = netRef.current;
+    const { nodeIds, edgeIds } = selectionRef.current;
+    const doomed = new Set([...edgeIds].filter((id) => edges.has(id)));
+    for (const nid of nodeIds) {
+      for (const eid of nodeEdgeIndex.get(nid) ?? []) if (edges.has(eid)) doomed.add(eid);
+    }
+    const dropNodes = new Set([...nodeIds].filter((id) => nodes.has(id)));
+    for (const eid of doomed) {
+      for (const nid of edges.get(eid).nodeIds) {
+        if (nodes.has(nid) && [...(nodeEdgeIndex.get(nid) ?? [])].every((id) => doomed.has(id))) dropNodes.add(nid);
+      }
+    }
+    if (!doomed.size && !dropNodes.size) return;
+
+    const ops = [...doomed].map((eid) => ({ type: "removeEdge", edge: snapshotEdge(edges.get(eid)) }));
+    for (const nid of dropNodes) ops.push({ type: "removeNode", node: snapshotNode(nodes.get(nid)) });
+    execute({ label: "Delete selection", ops });
+    setSelection([], []);
+  }, [execute, setSelection]);
+
+  const deleteSelectedEdges = useCallback(() => {
+    const { edges } = netRef.current;
+    const ids = [...selectionRef.current.edgeIds].filter((id) => edges.has(id));
+    if (!ids.length) return;
+    execute({
+      label: "Delete edges",
+      ops: ids.map((id) => ({ type: "removeEdge", edge: snapshotEdge(edges.get(id)) })),
+    });
+    setSelection(selectionRef.current.nodeIds, []);
+  }, [execute, setSelection]);
+
+  // Collapses the picked nodes into the first one, moved to their centroid.
+  const mergeSelectedNodes = useCallback(() => {
+    const net = netRef.current;
+    const ids = [...selectionRef.current.nodeIds].filter((id) => net.nodes.has(id));
+    if (ids.length < 2) return;
+    const [keepId, ...rest] = ids;
+    const lng = ids.reduce((sum, id) => sum + net.nodes.get(id).lng, 0) / ids.length;
+    const lat = ids.reduce((sum, id) => sum + net.nodes.get(id).lat, 0) / ids.length;
+
+    const ops = mergeNodesOps(net, keepId, rest, [lng, lat]);
+    execute({ label: "Merge nodes", ops });
+    setSelection([keepId], []);
+  }, [execute, setSelection]);
+
+  // Resolves what a point should snap to under the current snap options:
+  // nodes first, then whichever edge or sidewalk polygon boundary is
+  // closest, all within the pixel tolerance. Candidates come from the
+  // network and suggestion indexes. Edge hits carry the segment index and
+  // the projected point.
+  const findSnap = useCallback((lngLat, excludeNodeId = null) => {
+    const map = mapRef.current;
+    const opts = snapRef.current;
+    if (!opts.enabled || !map || !addedRef.current || !map.getLayer(NODE_LAYER)) return null;
+    const tol = opts.tolerancePx;
+    const { nodes, edges } = netRef.current;
+    const p = map.project(lngLat);
+    const box = screenBBox(map, [[p.x - tol, p.y - tol], [p.x + tol, p.y + tol]]);
+    const index = spatialIndex(netRef.current);
+
+    let best = null;
+    if (opts.nodes) {
+      for (const id of index.nodes.search(box)) {
+        const n = nodes.get(id);
+        if (!n || n.id === excludeNodeId) continue;
+        const q = map.project([n.lng, n.lat]);
+        const d = Math.hypot(q.x - p.x, q.y - p.y);
+        if (d <= tol && (!best || d < best.d)) best = { kind: "node", nodeId: n.id, lng: n.lng, lat: n.lat, d };
+      }
+      if (best) return best;
+    }
 
-      const nodeFeat = nodeFeatMap.get(nodeId);
-      if (nodeFeat) nodeFeat.geometry.coordinates = [lng, lat];
+    const project = (coords) => coords.map((c) => {
+      const q = map.project(c);
+      return [q.x, q.y];
+    });
 
-      const connectedEdgeIds = nodeEdgeIndex.get(nodeId) ?? new Set();
-      for (const eid of connectedEdgeIds) {
+    if (opts.edges) {
+      for (const eid of index.edges.search(box)) {
         const edge = edges.get(eid);
-        const feat = edgeFeatMap.get(eid);
-        if (!edge || !feat) continue;
-        feat.geometry.coordinates = edge.nodeIds
-          .map((id) => nodes.get(id))
-          .filter(Boolean)
-          .map((n) => [n.lng, n.lat]);
+        if (!edge || (excludeNodeId && edge.nodeIds.includes(excludeNodeId))) continue;
+        const pts = project(edge.nodeIds.map((id) => nodes.get(id)).filter(Boolean).map((n) => [n.lng, n.lat]));
+        const hit = nearestOnPolyline(pts, p.x, p.y);
+        if (!hit || hit.d > tol || (best && hit.d >= best.d)) continue;
+        const { lng, lat } = map.unproject([hit.x, hit.y]);
+        best = { kind: "edge", edgeId: edge.id, idx: hit.idx, lng, lat, d: hit.d };
+      }
+    }
+
+    if (opts.polygons && snapFeaturesRef.current) {
+      for (const { ring } of featureRings(featuresInBBox(snapFeaturesRef.current, box))) {
+        const hit = nearestOnPolyline(project(ring), p.x, p.y);
+        if (!hit || hit.d > tol || (best && hit.d >= best.d)) continue;
+        const { lng, lat } = map.unproject([hit.x, hit.y]);
+        best = { kind: "polygon", lng, lat, d: hit.d };
+      }
+    }
+    return best;
+  }, [mapRef]);
+
+  useEffect(() => {
+    isSelectingRef.current = selectMode;
+    const map = mapRef.current;
+    if (!map || !selectMode) return;
+    map.dragPan.disable();
+    map.boxZoom.disable();
+    map.getCanvas().style.cursor = "crosshair";
+    return () => {
+      isSelectingRef.current = false;
+      map.dragPan.enable();
+      map.boxZoom.enable();
+      map.getCanvas().style.cursor = "";
+    };
+  }, [mapRef, selectMode]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      if (draggingRef.current) return;
+      const { nodeIds, edgeIds } = selectionRef.current;
+      if (!(e.ctrlKey || e.metaKey)) {
+        if (isDrawingRef.current || (!nodeIds.size && !edgeIds.size)) return;
+        if (e.key === "Delete" || e.key === "Backspace") {
+          e.preventDefault();
+          setContextMenu(null);
+          deleteSelection();
+        } else if (e.key === "Escape") {
+          clearSelection();
+        }
+        return;
+      }
+      if (undoScopeRef.current !== "network") return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        setContextMenu(null);
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        setContextMenu(null);
+        redo();
       }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo, deleteSelection, clearSelection]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    const idleCursor = () => (isSelectingRef.current ? "crosshair" : "");
+
+    const showSnap = (snap) => {
+      map.getSource(SNAP_SOURCE)?.setData(snap ? {
+        type: "FeatureCollection",
+        features: [{
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [snap.lng, snap.lat] },
+          properties: { kind: snap.kind },
+        }],
+      } : EMPTY_FC);
+    };
 
-      map.getSource(NODE_SOURCE)?.setData(nodeFC);
-      map.getSource(EDGE_SOURCE)?.setData(edgeFC);
+    const drawLasso = () => {
+      const { points, poly } = lassoRef.current;
+      poly.setAttribute("points", points.map(([x, y]) => `${x},${y}`).join(" "));
+    };
+
+    const onMapMouseDown = (e) => {
+      if (!isSelectingRef.current || draggingRef.current || e.originalEvent?.button !== 0) return;
+      const svg = document.createElementNS(SVG_NS, "svg");
+      svg.setAttribute("class", "selectLasso");
+      const poly = document.createElementNS(SVG_NS, "polygon");
+      svg.appendChild(poly);
+      map.getContainer().appendChild(svg);
+      const { altKey, ctrlKey, metaKey } = e.originalEvent;
+      lassoRef.current = {
+        free: altKey, additive: ctrlKey || metaKey,
+        start: [e.point.x, e.point.y], points: [[e.point.x, e.point.y]], moved: false,
+        svg, poly,
+      };
+    };
+
+    const onMouseMove = (e) => {
+      const lasso = lassoRef.current;
+      if (lasso) {
+        const [x0, y0] = lasso.start;
+        const { x, y } = e.point;
+        if (Math.hypot(x - x0, y - y0) > 3) lasso.moved = true;
+        if (lasso.free) {
+          const [lx, ly] = lasso.points[lasso.points.length - 1];
+          if (Math.hypot(x - lx, y - ly) > 2) lasso.points.push([x, y]);
+        } else {
+          lasso.points = [[x0, y0], [x, y0], [x, y], [x0, y]];
+        }
+        drawLasso();
+        return;
+      }
+
+      const drag = draggingRef.current;
+      if (!drag) return;
+      const { lng, lat } = e.lngLat;
+      if (drag.group) {
+        const dx = lng - drag.start[0], dy = lat - drag.start[1];
+        for (const [id, [x, y]] of drag.group) moveNodeTo(netRef.current, cacheRef.current, id, x + dx, y + dy);
+      } else {
+        // Holding Alt drops the node exactly under the cursor.
+        drag.snap = e.originalEvent?.altKey ? null : findSnap(e.lngLat, drag.nodeId);
+        const to = drag.snap ?? { lng, lat };
+        moveNodeTo(netRef.current, cacheRef.current, drag.nodeId, to.lng, to.lat);
+        showSnap(drag.snap);
+      }
+      pushData();
     };
 
     const onNodeMouseDown = (e) => {
       if (e.originalEvent?.button !== 0) return;
-      e.preventDefault();
+      if (isDrawingRef.current || isPickingNodesRef.current) return;
       const nodeId = e.features?.[0]?.properties?.id;
       if (!nodeId) return;
       const n = netRef.current.nodes.get(nodeId);
       if (!n) return;
-      draggingRef.current = { nodeId, origLng: n.lng, origLat: n.lat };
+
+      const moving = selectionNodeIds(netRef.current, selectionRef.current);
+      if (moving.has(nodeId) && moving.size > 1) {
+        e.preventDefault();
+        const group = new Map();
+        for (const id of moving) {
+          const m = netRef.current.nodes.get(id);
+          if (m) group.set(id, [m.lng, m.lat]);
+        }
+        draggingRef.current = { nodeId, group, start: [e.lngLat.lng, e.lngLat.lat] };
+      } else if (isSelectingRef.current) {
+        return;
+      } else {
+        e.preventDefault();
+        draggingRef.current = { nodeId, origLng: n.lng, origLat: n.lat };
+        map.setFeatureState({ source: NODE_SOURCE, id: nodeId }, { dragging: true, hover: false });
+      }
       map.dragPan.disable();
       map.getCanvas().style.cursor = "grabbing";
-      map.setFeatureState({ source: NODE_SOURCE, id: nodeId }, { dragging: true, hover: false });
     };
 
-    const onMouseUp = (e) => {
-      if (!draggingRef.current) return;
-      map.dragPan.enable();
-      map.getCanvas().style.cursor = "";
-      map.setFeatureState({ source: NODE_SOURCE, id: draggingRef.current.nodeId }, { dragging: false });
-
-      const hits = map.queryRenderedFeatures(e.point, { layers: [NODE_LAYER] });
-      const target = hits.find((f) => f.properties.id !== draggingRef.current.nodeId);
-
-      if (target) {
-        const { nodeId: fromId, origLng, origLat } = draggingRef.current;
-        const node = netRef.current.nodes.get(fromId);
-        if (node) {
-          node.lng = origLng;
-          node.lat = origLat;
-          const feat = cacheRef.current.nodeFeatMap.get(fromId);
-          if (feat) feat.geometry.coordinates = [origLng, origLat];
-          const { edges, nodeEdgeIndex } = netRef.current;
-          for (const eid of nodeEdgeIndex.get(fromId) ?? []) {
-            const edge = edges.get(eid);
-            const edgeFeat = cacheRef.current.edgeFeatMap.get(eid);
-            if (edge && edgeFeat) {
-              edgeFeat.geometry.coordinates = edge.nodeIds
-                .map((id) => netRef.current.nodes.get(id))
-                .filter(Boolean)
-                .map((n) => [n.lng, n.lat]);
-            }
-          }
-        }
+    const finishLasso = (e) => {
+      const { svg, moved, points, additive } = lassoRef.current;
+      lassoRef.current = null;
+      svg.remove();
+      if (moved && points.length >= 3) selectInRing(points, additive);
+      else if (!moved) pickAt(e.point, additive);
+    };
 
-        const toId = target.properties.id;
-        const newEId = `e_conn_${Date.now()}`;
-        const newEdge = { id: newEId, nodeIds: [fromId, toId] };
-        netRef.current.edges.set(newEId, newEdge);
-        for (const nid of [fromId, toId]) {
-          if (!netRef.current.nodeEdgeIndex.has(nid)) netRef.current.nodeEdgeIndex.set(nid, new Set());
-          netRef.current.nodeEdgeIndex.get(nid).add(newEId);
+    const onMouseUp = (e) => {
+      if (lassoRef.current) {
+        finishLasso(e);
+        return;
+      }
+      const drag = draggingRef.current;
+      if (!drag) return;
+      draggingRef.current = null;
+      if (!isSelectingRef.current) map.dragPan.enable();
+      map.getCanvas().style.cursor = idleCursor();
+
+      if (drag.group) {
+        const dx = e.lngLat.lng - drag.start[0], dy = e.lngLat.lat - drag.start[1];
+        for (const [id, [x, y]] of drag.group) moveNodeTo(netRef.current, cacheRef.current, id, x, y);
+        if (dx === 0 && dy === 0) {
+          pushData();
+          return;
         }
-        const coords = [fromId, toId]
-          .map((id) => netRef.current.nodes.get(id))
-          .filter(Boolean)
-          .map((n) => [n.lng, n.lat]);
-        const newFeat = { type: "Feature", properties: { id: newEId }, geometry: { type: "LineString", coordinates: coords } };
-        cacheRef.current.edgeFeatMap.set(newEId, newFeat);
-        cacheRef.current.edgeFC.features.push(newFeat);
+        execute({
+          label: "Move selection",
+          ops: [...drag.group].map(([id, from]) => ({ type: "moveNode", id, from, to: [from[0] + dx, from[1] + dy] })),
+        });
+        return;
       }
 
-      const { nodeId: dragId, origLng, origLat } = draggingRef.current;
-      const draggedNode = netRef.current.nodes.get(dragId);
-      if (draggedNode && (draggedNode.lng !== origLng || draggedNode.lat !== origLat)) {
-        markDirty();
-      }
-      if (target) markDirty();
+      map.setFeatureState({ source: NODE_SOURCE, id: drag.nodeId }, { dragging: false });
+      showSnap(null);
+      const { nodeId: fromId, origLng, origLat, snap } = drag;
 
-      map.getSource(NODE_SOURCE)?.setData(cacheRef.current.nodeFC);
-      map.getSource(EDGE_SOURCE)?.setData(cacheRef.current.edgeFC);
-      draggingRef.current = null;
+      const hits = map.queryRenderedFeatures(e.point, { layers: [NODE_LAYER] });
+      const toId = snap?.kind === "node"
+        ? snap.nodeId
+        : hits.find((f) => f.properties.id !== fromId)?.properties.id;
+
+      const node = netRef.current.nodes.get(fromId);
+      if (!node) return;
+      const dropped = [node.lng, node.lat];
+      moveNodeTo(netRef.current, cacheRef.current, fromId, origLng, origLat);
+      const target = snap?.kind === "edge" ? netRef.current.edges.get(snap.edgeId) : null;
+
+      if (toId) {
+        execute({
+          label: "Connect nodes",
+          ops: [{ type: "addEdge", edge: { id: newId("e_conn"), nodeIds: [fromId, toId], properties: {} } }],
+        });
+      } else if (target) {
+        // The dragged node itself becomes the split point.
+        const { ops } = splitEdgeOps(target, snap.idx, snapshotNode(node));
+        execute({
+          label: "Snap node to edge",
+          ops: [
+            { type: "moveNode", id: fromId, from: [origLng, origLat], to: dropped },
+            ...ops.filter((op) => op.type !== "addNode"),
+          ],
+        });
+      } else if (dropped[0] !== origLng || dropped[1] !== origLat) {
+        execute({
+          label: "Move node",
+          ops: [{ type: "moveNode", id: fromId, from: [origLng, origLat], to: dropped }],
+        });
+      } else {
+        pushData();
+      }
     };
 
     const onEdgeContextMenu = (e) => {
@@ -282,10 +696,24 @@ export function useNetworkEditor(mapRef, networkData) {
       if (draggingRef.current) return;
       const nodeId = e.features?.[0]?.properties?.id;
       if (!nodeId) return;
-      setContextMenu({ type: "node", nodeId, x: e.point.x, y: e.point.y });
+      setContextMenu({
+        type: "node", nodeId, x: e.point.x, y: e.point.y,
+        canDissolve: !!dissolveNodeOps(netRef.current, nodeId),
+        canMerge:    neighbourIds(netRef.current, nodeId).length > 0,
+      });
     };
 
-    const onMapClick = () => setContextMenu(null);
+    const onMapClick = (e) => {
+      setContextMenu(null);
+      if (isDrawingRef.current || isSelectingRef.current || isPickingNodesRef.current || !map.getLayer(EDGE_HIT)) return;
+      if (e.originalEvent?.ctrlKey || e.originalEvent?.metaKey) {
+        pickAt(e.point, true);
+        return;
+      }
+      if (map.queryRenderedFeatures(e.point, { layers: [NODE_LAYER] }).length) return;
+      const hit = map.queryRenderedFeatures(e.point, { layers: [EDGE_HIT] })[0];
+      selectEdge(hit?.properties?.id ?? null);
+    };
 
     const onNodeEnter = (e) => {
       if (draggingRef.current) return;
@@ -301,10 +729,10 @@ export function useNetworkEditor(mapRef, networkData) {
         map.setFeatureState({ source: NODE_SOURCE, id: hoveredNodeRef.current }, { hover: false });
         hoveredNodeRef.current = null;
       }
-      map.getCanvas().style.cursor = "";
+      map.getCanvas().style.cursor = idleCursor();
     };
     const onEdgeEnter = () => { if (!draggingRef.current) map.getCanvas().style.cursor = "pointer"; };
-    const onEdgeLeave = () => { if (!draggingRef.current) map.getCanvas().style.cursor = ""; };
+    const onEdgeLeave = () => { if (!draggingRef.current) map.getCanvas().style.cursor = idleCursor(); };
 
     let cancelled = false;
 
@@ -312,12 +740,22 @@ export function useNetworkEditor(mapRef, networkData) {
       if (cancelled || addedRef.current) return;
       const { nodeFC, edgeFC } = cacheRef.current;
 
-      map.addSource(EDGE_SOURCE, { type: "geojson", data: edgeFC ?? { type: "FeatureCollection", features: [] } });
+      map.addSource(EDGE_SOURCE, { type: "geojson", promoteId: "id", data: edgeFC ?? EMPTY_FC });
       map.addLayer({
         id: EDGE_LAYER, type: "line", source: EDGE_SOURCE, minzoom: MESO_ZOOM,
         paint: {
-          "line-color": "#e85d04",
-          "line-width": ["interpolate", ["linear"], ["zoom"], 16, 3, 18, 4, 20, 5],
+          "line-color": [
+            "case",
+            ["boolean", ["feature-state", "selected"], false], SELECTED_COLOR,
+            ["boolean", ["feature-state", "picked"],   false], PICKED_COLOR,
+            edgeColorExpression(),
+          ],
+          "line-width": [
+            "interpolate", ["linear"], ["zoom"],
+            16, 3,
+            18, 4,
+            20, ["case", ["boolean", ["feature-state", "selected"], false], 8, 5],
+          ],
           "line-opacity": 1,
         },
       });
@@ -326,7 +764,7 @@ export function useNetworkEditor(mapRef, networkData) {
         paint: { "line-width": 14, "line-opacity": 0 },
       });
 
-      map.addSource(NODE_SOURCE, { type: "geojson", promoteId: "id", data: nodeFC ?? { type: "FeatureCollection", features: [] } });
+      map.addSource(NODE_SOURCE, { type: "geojson", promoteId: "id", data: nodeFC ?? EMPTY_FC });
       map.addLayer({
         id: NODE_LAYER, type: "circle", source: NODE_SOURCE, minzoom: MICRO_ZOOM,
         paint: {
@@ -335,16 +773,34 @@ export function useNetworkEditor(mapRef, networkData) {
             "case",
             ["boolean", ["feature-state", "dragging"], false], "#ff0000",
             ["boolean", ["feature-state", "hover"],    false], "#ffcc00",
+            ["boolean", ["feature-state", "picked"],   false], PICKED_COLOR,
             "#e85d04",
           ],
-          "circle-stroke-width": 2,
+          "circle-stroke-width": ["case", ["boolean", ["feature-state", "picked"], false], 3, 2],
           "circle-stroke-color": "#ffffff",
         },
       });
 
+      map.addSource(SNAP_SOURCE, { type: "geojson", data: EMPTY_FC });
+      map.addLayer({
+        id: SNAP_LAYER, type: "circle", source: SNAP_SOURCE, minzoom: MICRO_ZOOM,
+        paint: {
+          "circle-radius":       9,
+          "circle-color":        "rgba(0,0,0,0)",
+          "circle-stroke-width": 2.5,
+          "circle-stroke-color": [
+            "match", ["get", "kind"],
+            "node",    SELECTED_COLOR,
+            "edge",    PICKED_COLOR,
+            "#16a34a",
+          ],
+        },
+      });
+
       addedRef.current = true;
 
       map.on("mousedown",   NODE_LAYER, onNodeMouseDown);
+      map.on("mousedown",              onMapMouseDown);
       map.on("mousemove",              onMouseMove);
       map.on("mouseup",                onMouseUp);
       map.on("contextmenu", EDGE_HIT,  onEdgeContextMenu);
@@ -362,8 +818,11 @@ export function useNetworkEditor(mapRef, networkData) {
     return () => {
       cancelled = true;
       draggingRef.current = null;
+      lassoRef.current?.svg.remove();
+      lassoRef.current = null;
       map.off("load", init);
       map.off("mousedown",   NODE_LAYER, onNodeMouseDown);
+      map.off("mousedown",              onMapMouseDown);
       map.off("mousemove",              onMouseMove);
       map.off("mouseup",                onMouseUp);
       map.off("contextmenu", EDGE_HIT,  onEdgeContextMenu);
@@ -374,94 +833,152 @@ export function useNetworkEditor(mapRef, networkData) {
       map.off("mouseenter", EDGE_HIT,   onEdgeEnter);
       map.off("mouseleave", EDGE_HIT,   onEdgeLeave);
       try {
-        [NODE_LAYER, EDGE_HIT, EDGE_LAYER].forEach((l) => { if (map.getLayer(l)) map.removeLayer(l); });
-        [NODE_SOURCE, EDGE_SOURCE].forEach((s) => { if (map.getSource(s)) map.removeSource(s); });
+        [SNAP_LAYER, NODE_LAYER, EDGE_HIT, EDGE_LAYER].forEach((l) => { if (map.getLayer(l)) map.removeLayer(l); });
+        [SNAP_SOURCE, NODE_SOURCE, EDGE_SOURCE].forEach((s) => { if (map.getSource(s)) map.removeSource(s); });
       } catch { /* map may be gone */ }
       addedRef.current = false;
     };
-  }, [mapRef]);
+  }, [mapRef, pushData, execute, selectEdge, selectInRing, pickAt, findSnap]);
 
   const splitEdge = (edgeId, lng, lat) => {
-    const { nodes, edges, nodeEdgeIndex } = netRef.current;
-    const { edgeFeatMap, edgeFC, nodeFeatMap, nodeFC } = cacheRef.current;
+    const { nodes, edges } = netRef.current;
     const edge = edges.get(edgeId);
     if (!edge) return;
 
     const idx = closestSegmentIdx(edge.nodeIds, nodes, lng, lat);
-    const ts = Date.now();
-    const newNodeId = `n_split_${ts}`;
-    const newNode = { id: newNodeId, lng, lat };
-    nodes.set(newNodeId, newNode);
-
-    const newNodeFeat = { type: "Feature", properties: { id: newNodeId }, geometry: { type: "Point", coordinates: [lng, lat] } };
-    nodeFeatMap.set(newNodeId, newNodeFeat);
-    nodeFC.features.push(newNodeFeat);
-
-    const eA = { id: `e_${ts}a`, nodeIds: [...edge.nodeIds.slice(0, idx + 1), newNodeId] };
-    const eB = { id: `e_${ts}b`, nodeIds: [newNodeId, ...edge.nodeIds.slice(idx + 1)] };
-    edges.delete(edgeId);
-    edges.set(eA.id, eA);
-    edges.set(eB.id, eB);
-
-    for (const nid of edge.nodeIds) nodeEdgeIndex.get(nid)?.delete(edgeId);
-    nodeEdgeIndex.set(newNodeId, new Set([eA.id, eB.id]));
-    for (const e of [eA, eB]) {
-      for (const nid of e.nodeIds) {
-        if (!nodeEdgeIndex.has(nid)) nodeEdgeIndex.set(nid, new Set());
-        nodeEdgeIndex.get(nid).add(e.id);
-      }
-    }
+    const { ops } = splitEdgeOps(edge, idx, { id: newId("n_split"), lng, lat });
+    execute({ label: "Split edge", ops });
+    setContextMenu(null);
+  };
 
-    const oldFeatIdx = edgeFC.features.findIndex((f) => f.properties.id === edgeId);
-    if (oldFeatIdx !== -1) edgeFC.features.splice(oldFeatIdx, 1);
-    edgeFeatMap.delete(edgeId);
+  // Adds a drawn polyline as one new edge. Only the first and last clicks
+  // attach to the graph: onto a snapped node, or by splitting a snapped edge.
+  const addEdgeChain = (clicks) => {
+    if (clicks.length < 2) return;
+    const net = netRef.current;
+    const ops = [];
+    const run = (more) => {
+      applyOps(net, cacheRef.current, more);
+      ops.push(...more);
+    };
+    const replaced = new Map();
+
+    const attach = ({ lng, lat, snap }) => {
+      if (snap?.kind === "node" && net.nodes.has(snap.nodeId)) return snap.nodeId;
+      if (snap?.kind === "edge") {
+        const candidates = replaced.get(snap.edgeId) ?? [net.edges.get(snap.edgeId)];
+        let target = null;
+        for (const edge of candidates.filter(Boolean)) {
+          const hit = nearestOnPolyline(
+            edge.nodeIds.map((id) => net.nodes.get(id)).map((n) => [n.lng, n.lat]),
+            snap.lng, snap.lat,
+          );
+          if (!target || hit.d < target.hit.d) target = { edge, hit };
+        }
+        if (target) {
+          const node = { id: newId("n_split"), lng: snap.lng, lat: snap.lat };
+          const { ops: splitOps, halves } = splitEdgeOps(target.edge, target.hit.idx, node);
+          run(splitOps);
+          replaced.set(snap.edgeId, halves);
+          return node.id;
+        }
+      }
+      const id = newId("n_draw");
+      run([{ type: "addNode", node: { id, lng, lat } }]);
+      return id;
+    };
 
-    for (const e of [eA, eB]) {
-      const coords = e.nodeIds.map((id) => nodes.get(id)).filter(Boolean).map((n) => [n.lng, n.lat]);
-      const f = { type: "Feature", properties: { id: e.id }, geometry: { type: "LineString", coordinates: coords } };
-      edgeFeatMap.set(e.id, f);
-      edgeFC.features.push(f);
+    const nodeIds = clicks.map((c, i) =>
+      attach(i === 0 || i === clicks.length - 1 ? c : { ...c, snap: null })
+    );
+    if (nodeIds.length === 2 && nodeIds[0] === nodeIds[1]) {
+      applyOps(net, cacheRef.current, invertOps(ops));
+      return;
     }
 
-    const map = mapRef.current;
-    if (map) {
-      map.getSource(NODE_SOURCE)?.setData(nodeFC);
-      map.getSource(EDGE_SOURCE)?.setData(edgeFC);
-    }
-    setContextMenu(null);
-    markDirty();
+    const edge = { id: newId("e_draw"), nodeIds, properties: {} };
+    run([{ type: "addEdge", edge }]);
+    record({ label: "Draw edge", ops });
+    pushData();
+    selectEdge(edge.id);
+    setRevision((r) => r + 1);
   };
 
   const deleteNode = (nodeId) => {
     const { nodes, edges, nodeEdgeIndex } = netRef.current;
-    const { nodeFeatMap, nodeFC, edgeFeatMap, edgeFC } = cacheRef.current;
-
-    const connectedEdgeIds = new Set(nodeEdgeIndex.get(nodeId) ?? []);
-    for (const eid of connectedEdgeIds) {
-      edges.delete(eid);
-      edgeFeatMap.delete(eid);
-      const idx = edgeFC.features.findIndex((f) => f.properties.id === eid);
-      if (idx !== -1) edgeFC.features.splice(idx, 1);
-    }
+    const node = nodes.get(nodeId);
+    if (!node) return;
 
-    for (const [nid, edgeSet] of nodeEdgeIndex) {
-      for (const eid of connectedEdgeIds) edgeSet.delete(eid);
+    const ops = [...(nodeEdgeIndex.get(nodeId) ?? [])]
+      .map((eid) => edges.get(eid))
+      .filter(Boolean)
+      .map((edge) => ({ type: "removeEdge", edge: snapshotEdge(edge) }));
+    ops.push({ type: "removeNode", node: snapshotNode(node) });
+
+    execute({ label: "Delete node", ops });
+    setContextMenu(null);
+  };
+
+  // Removes just the edge. Its endpoints stay; interior vertices that no
+  // other edge uses go with it.
+  const deleteEdge = (edgeId) => {
+    const { nodes, edges, nodeEdgeIndex } = netRef.current;
+    const edge = edges.get(edgeId);
+    if (!edge) return;
+    const ops = [{ type: "removeEdge", edge: snapshotEdge(edge) }];
+    const ends = new Set([edge.nodeIds[0], edge.nodeIds[edge.nodeIds.length - 1]]);
+    for (const nid of new Set(edge.nodeIds)) {
+      if (ends.has(nid) || !nodes.has(nid)) continue;
+      if (nodeEdgeIndex.get(nid)?.size === 1) ops.push({ type: "removeNode", node: snapshotNode(nodes.get(nid)) });
     }
+    execute({ label: "Delete edge", ops });
+    setContextMenu(null);
+  };
 
-    nodes.delete(nodeId);
-    nodeEdgeIndex.delete(nodeId);
-    nodeFeatMap.delete(nodeId);
-    const nIdx = nodeFC.features.findIndex((f) => f.properties.id === nodeId);
-    if (nIdx !== -1) nodeFC.features.splice(nIdx, 1);
+  const dissolveNode = (nodeId) => {
+    const ops = dissolveNodeOps(netRef.current, nodeId);
+    if (ops) execute({ label: "Dissolve node", ops });
+    setContextMenu(null);
+  };
 
-    const map = mapRef.current;
-    if (map) {
-      map.getSource(NODE_SOURCE)?.setData(nodeFC);
-      map.getSource(EDGE_SOURCE)?.setData(edgeFC);
+  // Folds the node into its closest neighbour along an edge.
+  const mergeWithNeighbour = (nodeId) => {
+    const net = netRef.current;
+    const node = net.nodes.get(nodeId);
+    let best = null;
+    for (const id of node ? neighbourIds(net, nodeId) : []) {
+      const n = net.nodes.get(id);
+      if (!n) continue;
+      const d = distanceMeters([node.lng, node.lat], [n.lng, n.lat]);
+      if (!best || d < best.d) best = { id, d };
     }
+    if (best) execute({ label: "Merge with neighbour", ops: mergeNodesOps(net, best.id, [nodeId]) });
     setContextMenu(null);
-    markDirty();
   };
 
-  return { contextMenu, setContextMenu, splitEdge, deleteNode, saveNetwork, dirty, saving };
+  const updateEdgeAttribute = (edgeId, key, value) => {
+    const edge = netRef.current.edges.get(edgeId);
+    if (!edge) return;
+    const from = edge.properties ?? {};
+    const cleared = value === undefined || value === null || value === "";
+    if (cleared ? !(key in from) : from[key] === value) return;
+    const to = { ...from };
+    if (cleared) delete to[key];
+    else to[key] = value;
+    execute({ label: "Edit attributes", ops: [{ type: "setEdgeProps", id: edgeId, from, to }] });
+  };
+
+  const { canUndo, canRedo, dirty, undoLabel, redoLabel } = history;
+
+  return {
+    contextMenu, setContextMenu, splitEdge, deleteNode, saveNetwork, reloadFailed, pendingEdits, dirty, saving,
+    deleteEdge, dissolveNode, mergeWithNeighbour,
+    conflict, resolveConflict, discardLocalEdits, keepLocalEdits,
+    getDraft, getBase, restoreDraft, replaceNetwork, planarizeNetwork,
+    undo, redo, canUndo, canRedo, undoLabel, redoLabel,
+    selectedEdge, selectEdge, updateEdgeAttribute,
+    findSnap, addEdgeChain,
+    selection, clearSelection, deleteSelection, deleteSelectedEdges, mergeSelectedNodes,
+    graphRef: netRef, revision,
+  };
 }
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const SOURCE_ID = "network-preview-source";
+const LINE_ID   = "network-preview-line";
+const EMPTY_FC  = { type: "FeatureCollection", features: [] };
+
+// "3 × Move node, 1 × Delete edge" — the default save description.
+export function describeEdits(edits) {
+  const parts = Object.entries(edits?.byLabel ?? {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([label, n]) => (n > 1 ? `${n} × ${label}` : label));
+  return parts.join(", ");
+}
+
+export async function fetchSnapshot(id) {
+  const res = await fetch(`/api/network-history/${encodeURIComponent(id)}`);
+  if (!res.ok) throw new Error(`Snapshot request failed (${res.status})`);
+  return res.json();
+}
+
+/*
+ * Saved network snapshots: the list served by /api/network-history, an
+ * optional preview of one of them drawn over the map, and revert.
+ */
+export function useNetworkHistory(mapRef, enabled) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading]     = useState(false);
+  const [previewId, setPreviewId] = useState(null);
+  const [previewFC, setPreviewFC] = useState(null);
+  const addedRef = useRef(false);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch("/api/network-history");
+      if (!res.ok) throw new Error(`History request failed (${res.status})`);
+      setSnapshots(await res.json());
+    } catch (err) {
+      console.error("Failed to load network history:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const timer = setTimeout(refresh, 0);
+    return () => clearTimeout(timer);
+  }, [enabled, refresh]);
+
+  const preview = useCallback(async (id) => {
+    if (!id) {
+      setPreviewId(null);
+      setPreviewFC(null);
+      return;
+    }
+    setPreviewId(id);
+    try {
+      setPreviewFC(await fetchSnapshot(id));
+    } catch (err) {
+      console.error("Failed to load snapshot:", err);
+      setPreviewId(null);
+      setPreviewFC(null);
+    }
+  }, []);
+
+  const revert = useCallback(async (id) => {
+    const res = await fetch(`/api/network-history/${encodeURIComponent(id)}/revert`, { method: "POST" });
+    if (!res.ok) throw new Error(`Revert failed (${res.status}): ${await res.text()}`);
+    setPreviewId(null);
+    setPreviewFC(null);
+    await refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !enabled) return;
+
+    const setup = () => {
+      if (addedRef.current) return;
+      map.addSource(SOURCE_ID, { type: "geojson", data: EMPTY_FC });
+      map.addLayer({
+        id: LINE_ID, type: "line", source: SOURCE_ID,
+        filter: ["!=", ["geometry-type"], "Point"],
+        paint: {
+          "line-color":     "#7c3aed",
+          "line-width":     ["interpolate", ["linear"], ["zoom"], 14, 1.5, 20, 5],
+          "line-opacity":   0.85,
+          "line-dasharray": [2, 1.5],
+        },
+      });
+      addedRef.current = true;
+    };
+
+    if (map.isStyleLoaded()) setup();
+    else map.once("load", setup);
+
+    return () => {
+      map.off("load", setup);
+      if (!addedRef.current) return;
+      try {
+        if (map.getLayer(LINE_ID))    map.removeLayer(LINE_ID);
+        if (map.getSource(SOURCE_ID)) map.removeSource(SOURCE_ID);
+      } catch { /* map may be gone */ }
+      addedRef.current = false;
+    };
+  }, [mapRef, enabled]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !addedRef.current) return;
+    map.getSource(SOURCE_ID)?.setData(enabled && previewFC ? previewFC : EMPTY_FC);
+  }, [mapRef, enabled, previewFC]);
+
+  return { snapshots, loading, refresh, previewId: enabled ? previewId : null, preview, revert };
+}
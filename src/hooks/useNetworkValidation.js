@@ -0,0 +1,92 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { validateNetwork } from "../utils/networkValidation";
+
+const SOURCE_ID = "network-issues-source";
+const LINE_ID   = "network-issues-line";
+const POINT_ID  = "network-issues-point";
+const DEBOUNCE_MS = 300;
+
+function issuesFC(issues, activeId) {
+  return {
+    type: "FeatureCollection",
+    features: issues.map((issue) => ({
+      type: "Feature",
+      geometry: issue.geometry,
+      properties: { id: issue.id, type: issue.type, active: issue.id === activeId },
+    })),
+  };
+}
+
+export function useNetworkValidation(mapRef, graphRef, revision, enabled, options) {
+  const [issues, setIssues]     = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const addedRef = useRef(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const timer = setTimeout(() => {
+      setIssues(validateNetwork(graphRef.current, options));
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [enabled, graphRef, revision, options]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !enabled) return;
+
+    const setup = () => {
+      if (addedRef.current) return;
+      map.addSource(SOURCE_ID, { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+      map.addLayer({
+        id: LINE_ID, type: "line", source: SOURCE_ID,
+        filter: ["!=", ["geometry-type"], "Point"],
+        paint: {
+          "line-color":   "#dc2626",
+          "line-width":   ["case", ["get", "active"], 9, 5],
+          "line-opacity": ["case", ["get", "active"], 0.75, 0.35],
+        },
+      });
+      map.addLayer({
+        id: POINT_ID, type: "circle", source: SOURCE_ID,
+        filter: ["==", ["geometry-type"], "Point"],
+        paint: {
+          "circle-radius":       ["case", ["get", "active"], 11, 6],
+          "circle-color":        "rgba(220,38,38,0.15)",
+          "circle-stroke-width": ["case", ["get", "active"], 3, 2],
+          "circle-stroke-color": "#dc2626",
+        },
+      });
+      addedRef.current = true;
+    };
+
+    if (map.isStyleLoaded()) setup();
+    else map.once("load", setup);
+
+    return () => {
+      map.off("load", setup);
+      if (!addedRef.current) return;
+      try {
+        if (map.getLayer(POINT_ID))  map.removeLayer(POINT_ID);
+        if (map.getLayer(LINE_ID))   map.removeLayer(LINE_ID);
+        if (map.getSource(SOURCE_ID)) map.removeSource(SOURCE_ID);
+      } catch { /* map may be gone */ }
+      addedRef.current = false;
+    };
+  }, [mapRef, enabled]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !addedRef.current) return;
+    map.getSource(SOURCE_ID)?.setData(issuesFC(enabled ? issues : [], activeId));
+  }, [mapRef, enabled, issues, activeId]);
+
+  const focusIssue = useCallback((issue) => {
+    setActiveId(issue?.id ?? null);
+    const map = mapRef.current;
+    if (!map || !issue) return;
+    const [w, s, e, n] = issue.bbox;
+    map.fitBounds([[w, s], [e, n]], { padding: 120, maxZoom: 20, duration: 600 });
+  }, [mapRef]);
+
+  return { issues: enabled ? issues : [], activeId, focusIssue };
+}
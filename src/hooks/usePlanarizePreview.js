@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { planarize } from "../utils/networkPlanarize";
+
+const SOURCE_ID   = "planarize-source";
+const POINT_ID    = "planarize-points";
+const DEBOUNCE_MS = 300;
+const EMPTY_FC    = { type: "FeatureCollection", features: [] };
+
+export const PLANARIZE_COLOR = "#7c3aed";
+
+function previewFC(preview, activeIndex) {
+  if (!preview) return EMPTY_FC;
+  return {
+    type: "FeatureCollection",
+    features: preview.crossings.map((c, i) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: c.point },
+      properties: { active: i === activeIndex },
+    })),
+  };
+}
+
+/*
+ * Marks where planarizing would add nodes, for `options` ({ regions,
+ * exclude }) or nothing when null. Recomputed as the graph, the view or
+ * the options change; the editor recomputes again when applying.
+ */
+export function usePlanarizePreview(mapRef, graphRef, revision, options) {
+  const [preview, setPreview]         = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const addedRef = useRef(false);
+  const enabled = !!options;
+
+  useEffect(() => {
+    if (!options) return;
+    const timer = setTimeout(() => {
+      const { crossings, nodeCount, edgeCount } = planarize(graphRef.current, options);
+      setPreview({ crossings, nodeCount, edgeCount });
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [graphRef, revision, options]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !enabled) return;
+
+    const setup = () => {
+      if (addedRef.current) return;
+      map.addSource(SOURCE_ID, { type: "geojson", data: EMPTY_FC });
+      map.addLayer({
+        id: POINT_ID, type: "circle", source: SOURCE_ID,
+        paint: {
+          "circle-radius":       ["case", ["get", "active"], 10, 6],
+          "circle-color":        "rgba(124,58,237,0.2)",
+          "circle-stroke-width": ["case", ["get", "active"], 3, 2],
+          "circle-stroke-color": PLANARIZE_COLOR,
+        },
+      });
+      addedRef.current = true;
+    };
+
+    if (map.isStyleLoaded()) setup();
+    else map.once("load", setup);
+
+    return () => {
+      map.off("load", setup);
+      if (!addedRef.current) return;
+      try {
+        if (map.getLayer(POINT_ID))   map.removeLayer(POINT_ID);
+        if (map.getSource(SOURCE_ID)) map.removeSource(SOURCE_ID);
+      } catch { /* map may be gone */ }
+      addedRef.current = false;
+    };
+  }, [mapRef, enabled]);
+
+  const visible = enabled ? preview : null;
+  const active = visible && activeIndex < visible.crossings.length ? activeIndex : -1;
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !addedRef.current) return;
+    map.getSource(SOURCE_ID)?.setData(previewFC(visible, active));
+  }, [mapRef, visible, active]);
+
+  const focus = useCallback((index) => {
+    const c = preview?.crossings[index];
+    setActiveIndex(c ? index : -1);
+    if (!c) return;
+    mapRef.current?.easeTo({ center: c.point, zoom: Math.max(mapRef.current.getZoom(), 19), duration: 600 });
+  }, [mapRef, preview]);
+
+  return { preview: visible, activeIndex: active, focus };
+}
@@ -0,0 +1,181 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { isPickingNodesRef } from "./drawingState";
+import { shortestPath } from "../utils/networkRouting";
+import { edgeCoords, spatialIndex } from "../utils/networkGraph";
+import { screenBBox } from "../utils/spatialIndex";
+
+const SOURCE_ID   = "route-source";
+const GAP_LAYER   = "route-components";
+const LINE_LAYER  = "route-line";
+const ENDS_LAYER  = "route-ends";
+const PICK_PX     = 14;
+const DEBOUNCE_MS = 100;
+const EMPTY_FC    = { type: "FeatureCollection", features: [] };
+
+// Nearest graph node within a few pixels of a screen point, so a near miss
+// on a small vertex still counts.
+export function nodeNearPoint(map, net, point, tolerancePx = PICK_PX) {
+  const box = screenBBox(map, [
+    [point.x - tolerancePx, point.y - tolerancePx],
+    [point.x + tolerancePx, point.y + tolerancePx],
+  ]);
+  let best = null, bestD = tolerancePx;
+  for (const id of spatialIndex(net).nodes.search(box)) {
+    const node = net.nodes.get(id);
+    const p = map.project([node.lng, node.lat]);
+    const d = Math.hypot(p.x - point.x, p.y - point.y);
+    if (d <= bestD) { best = node.id; bestD = d; }
+  }
+  return best;
+}
+
+function routeFC(net, from, to, result) {
+  const features = [];
+  if (result?.found && result.coordinates.length >= 2) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: result.coordinates },
+      properties: { kind: "route" },
+    });
+  }
+  if (result && !result.found) {
+    for (const side of ["from", "to"]) {
+      for (const id of result.components[side]) {
+        const edge = net.edges.get(id);
+        const coords = edge ? edgeCoords(edge, net.nodes) : [];
+        if (coords.length < 2) continue;
+        features.push({
+          type: "Feature",
+          geometry: { type: "LineString", coordinates: coords },
+          properties: { kind: "component", side },
+        });
+      }
+    }
+  }
+  for (const [end, id] of [["from", from], ["to", to]]) {
+    const n = id && net.nodes.get(id);
+    if (!n) continue;
+    features.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [n.lng, n.lat] },
+      properties: { kind: "end", side: end },
+    });
+  }
+  return { type: "FeatureCollection", features };
+}
+
+/*
+ * Point-to-point routing on the editor's live graph. Clicks pick the start
+ * and end node; the route is recomputed whenever the graph changes, so it
+ * reflects unsaved edits.
+ */
+export function useRouting(mapRef, graphRef, revision, enabled) {
+  const [ends, setEnds]     = useState({ from: null, to: null });
+  const [result, setResult] = useState(null);
+  const addedRef = useRef(false);
+
+  const clear = useCallback(() => {
+    setEnds({ from: null, to: null });
+    setResult(null);
+  }, []);
+
+  useEffect(() => {
+    isPickingNodesRef.current = enabled;
+    return () => { isPickingNodesRef.current = false; };
+  }, [enabled]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const net = graphRef.current;
+      const { from, to } = ends;
+      if ((from && !net.nodes.has(from)) || (to && !net.nodes.has(to))) {
+        setEnds({ from: net.nodes.has(from) ? from : null, to: net.nodes.has(to) ? to : null });
+        return;
+      }
+      setResult(enabled && from && to ? shortestPath(net, from, to) : null);
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [graphRef, revision, ends, enabled]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !enabled) return;
+
+    const onClick = (e) => {
+      const id = nodeNearPoint(map, graphRef.current, e.point);
+      if (!id) return;
+      setEnds((cur) => (cur.from && !cur.to ? { from: cur.from, to: id } : { from: id, to: null }));
+    };
+
+    const onKeyDown = (e) => {
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      if (e.key === "Escape") clear();
+    };
+
+    const setup = () => {
+      if (!addedRef.current) {
+        map.addSource(SOURCE_ID, { type: "geojson", data: EMPTY_FC });
+        map.addLayer({
+          id: GAP_LAYER, type: "line", source: SOURCE_ID,
+          filter: ["==", ["get", "kind"], "component"],
+          paint: {
+            "line-color":   ["match", ["get", "side"], "from", "#16a34a", "#dc2626"],
+            "line-width":   7,
+            "line-opacity": 0.35,
+          },
+        });
+        map.addLayer({
+          id: LINE_LAYER, type: "line", source: SOURCE_ID,
+          filter: ["==", ["get", "kind"], "route"],
+          layout: { "line-cap": "round", "line-join": "round" },
+          paint: {
+            "line-color":   "#7c3aed",
+            "line-width":   6,
+            "line-opacity": 0.85,
+          },
+        });
+        map.addLayer({
+          id: ENDS_LAYER, type: "circle", source: SOURCE_ID,
+          filter: ["==", ["get", "kind"], "end"],
+          paint: {
+            "circle-radius":       7,
+            "circle-color":        ["match", ["get", "side"], "from", "#16a34a", "#dc2626"],
+            "circle-stroke-width": 2,
+            "circle-stroke-color": "#fff",
+          },
+        });
+        addedRef.current = true;
+      }
+      map.getCanvas().style.cursor = "crosshair";
+      map.on("click", onClick);
+      document.addEventListener("keydown", onKeyDown);
+    };
+
+    if (map.isStyleLoaded()) setup();
+    else map.once("load", setup);
+
+    return () => {
+      map.off("load", setup);
+      map.off("click", onClick);
+      document.removeEventListener("keydown", onKeyDown);
+      if (!addedRef.current) return;
+      map.getCanvas().style.cursor = "";
+      try {
+        if (map.getLayer(ENDS_LAYER)) map.removeLayer(ENDS_LAYER);
+        if (map.getLayer(LINE_LAYER)) map.removeLayer(LINE_LAYER);
+        if (map.getLayer(GAP_LAYER))  map.removeLayer(GAP_LAYER);
+        if (map.getSource(SOURCE_ID)) map.removeSource(SOURCE_ID);
+      } catch { /* map may be gone */ }
+      addedRef.current = false;
+    };
+  }, [mapRef, graphRef, enabled, clear]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !addedRef.current) return;
+    map.getSource(SOURCE_ID)?.setData(routeFC(graphRef.current, ends.from, ends.to, result));
+  }, [mapRef, graphRef, ends, result, enabled]);
+
+  return { from: ends.from, to: ends.to, result: enabled ? result : null, clear };
+}
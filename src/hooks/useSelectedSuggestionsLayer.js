@@ -1,13 +1,35 @@
 import { useEffect, useRef } from "react";
+import { BLOCKING_ISSUES } from "../utils/polygonValidity";
 
-const SOURCE_ID = "selected-suggestions-source";
-const FILL_ID   = "selected-suggestions-fill";
-const LINE_ID   = "selected-suggestions-line";
+const SOURCE_ID       = "selected-suggestions-source";
+const FILL_ID         = "selected-suggestions-fill";
+const LINE_ID         = "selected-suggestions-line";
+const ISSUES_SOURCE   = "suggestion-issues-source";
+const ISSUES_LINE_ID  = "suggestion-issues-line";
+const ISSUES_POINT_ID = "suggestion-issues-point";
 
-export function useSelectedSuggestionsLayer(mapRef, selectedFeatures, viewLevel) {
+export const INVALID_COLOR = "#dc2626";
+
+// Outlines of invalid suggestions plus a marker at each problem; `issues`
+// maps suggestion keys to their validateFeature results.
+function buildIssuesFC(featuresByKey, issues) {
+  const out = [];
+  for (const [key, list] of issues ?? []) {
+    const blocking = list.filter((i) => BLOCKING_ISSUES.has(i.type));
+    const feature = featuresByKey?.get(key);
+    if (!blocking.length || !feature) continue;
+    out.push({ type: "Feature", geometry: feature.geometry, properties: { key } });
+    for (const i of blocking) {
+      out.push({ type: "Feature", geometry: { type: "Point", coordinates: i.point }, properties: { key, type: i.type } });
+    }
+  }
+  return { type: "FeatureCollection", features: out };
+}
+
+export function useSelectedSuggestionsLayer(mapRef, selectedFeatures, viewLevel, featuresByKey, issues) {
   const addedRef  = useRef(false);
-  const latestRef = useRef({ selectedFeatures, viewLevel });
-  latestRef.current = { selectedFeatures, viewLevel };
+  const latestRef = useRef({ selectedFeatures, viewLevel, featuresByKey, issues });
+  latestRef.current = { selectedFeatures, viewLevel, featuresByKey, issues };
 
   useEffect(() => {
     const map = mapRef.current;
@@ -44,8 +66,40 @@ export function useSelectedSuggestionsLayer(mapRef, selectedFeatures, viewLevel)
         },
       });
 
+      map.addSource(ISSUES_SOURCE, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+
+      map.addLayer({
+        id:     ISSUES_LINE_ID,
+        type:   "line",
+        source: ISSUES_SOURCE,
+        filter: ["!=", ["geometry-type"], "Point"],
+        layout: { visibility: "none" },
+        paint: {
+          "line-color":     INVALID_COLOR,
+          "line-width":     2.5,
+          "line-dasharray": [2, 1.5],
+        },
+      });
+
+      map.addLayer({
+        id:     ISSUES_POINT_ID,
+        type:   "circle",
+        source: ISSUES_SOURCE,
+        filter: ["==", ["geometry-type"], "Point"],
+        layout: { visibility: "none" },
+        paint: {
+          "circle-radius":       6,
+          "circle-color":        "rgba(220,38,38,0.2)",
+          "circle-stroke-width": 2,
+          "circle-stroke-color": INVALID_COLOR,
+        },
+      });
+
       addedRef.current = true;
-      syncData(map, latestRef.current.selectedFeatures, latestRef.current.viewLevel);
+      syncData(map, latestRef.current);
     };
 
     if (map.isStyleLoaded()) setup();
@@ -55,6 +109,9 @@ export function useSelectedSuggestionsLayer(mapRef, selectedFeatures, viewLevel)
       const m = mapRef.current;
       if (!m || !addedRef.current) return;
       try {
+        if (m.getLayer(ISSUES_POINT_ID)) m.removeLayer(ISSUES_POINT_ID);
+        if (m.getLayer(ISSUES_LINE_ID))  m.removeLayer(ISSUES_LINE_ID);
+        if (m.getSource(ISSUES_SOURCE))  m.removeSource(ISSUES_SOURCE);
         if (m.getLayer(LINE_ID))    m.removeLayer(LINE_ID);
         if (m.getLayer(FILL_ID))    m.removeLayer(FILL_ID);
         if (m.getSource(SOURCE_ID)) m.removeSource(SOURCE_ID);
@@ -66,11 +123,11 @@ export function useSelectedSuggestionsLayer(mapRef, selectedFeatures, viewLevel)
   useEffect(() => {
     const map = mapRef.current;
     if (!map || !addedRef.current) return;
-    syncData(map, selectedFeatures, viewLevel);
-  }, [mapRef, selectedFeatures, viewLevel]);
+    syncData(map, { selectedFeatures, viewLevel, featuresByKey, issues });
+  }, [mapRef, selectedFeatures, viewLevel, featuresByKey, issues]);
 }
 
-function syncData(map, selectedFeatures, viewLevel) {
+function syncData(map, { selectedFeatures, viewLevel, featuresByKey, issues }) {
   const isVisible = (viewLevel === "meso" || viewLevel === "micro") && selectedFeatures.length > 0;
   try {
     map.getSource(SOURCE_ID)?.setData({
@@ -80,5 +137,8 @@ function syncData(map, selectedFeatures, viewLevel) {
     const vis = isVisible ? "visible" : "none";
     map.setLayoutProperty(FILL_ID, "visibility", vis);
     map.setLayoutProperty(LINE_ID, "visibility", vis);
+    map.getSource(ISSUES_SOURCE)?.setData(isVisible ? buildIssuesFC(featuresByKey, issues) : { type: "FeatureCollection", features: [] });
+    map.setLayoutProperty(ISSUES_LINE_ID,  "visibility", vis);
+    map.setLayoutProperty(ISSUES_POINT_ID, "visibility", vis);
   } catch { /* layers may not be added yet */ }
 }
\ No newline at end of file
@@ -1,48 +1,51 @@
-import { useEffect, useRef } from "react";
+import { useEffect, useRef, useState } from "react";
+import { polygonParts, withRing } from "../utils/polygonEdit";
 
 const HANDLE_SOURCE = "sugg-edit-handles-source";
 const VERT_LAYER    = "sugg-edit-vertex-layer";
 const EDGE_LAYER    = "sugg-edit-edge-layer";
 const SEL_SOURCE    = "selected-suggestions-source";
+const MIN_VERTICES  = 3;
 
-function getPolygonRing(feature) {
-  if (!feature) return null;
-  const { type, coordinates } = feature.geometry;
-  if (type === "Polygon")      return coordinates[0];
-  if (type === "MultiPolygon") return coordinates[0]?.[0] ?? null;
-  return null;
-}
+const getRing = (feature, part, ring) => polygonParts(feature)[part]?.[ring] ?? null;
 
-function buildHandleFC(featuresMap) {
+// Handles for every ring of every part. The ring last grabbed (`active`)
+// draws larger, since the shape tools act on it.
+function buildHandleFC(featuresMap, active) {
   const out = [];
   if (!featuresMap) return { type: "FeatureCollection", features: out };
 
   for (const [key, feature] of featuresMap) {
-    const ring = getPolygonRing(feature);
-    if (!ring || ring.length < 3) continue;
-    const n = ring.length - 1;
-
-    for (let i = 0; i < n; i++) {
-      out.push({
-        type: "Feature",
-        geometry: { type: "Point", coordinates: ring[i] },
-        properties: { kind: "vertex", idx: i, featureKey: key },
-      });
-    }
-    for (let i = 0; i < n; i++) {
-      const a = ring[i], b = ring[(i + 1) % n];
-      out.push({
-        type: "Feature",
-        geometry: { type: "Point", coordinates: [(a[0]+b[0])/2, (a[1]+b[1])/2] },
-        properties: { kind: "edge", idx: i, featureKey: key },
-      });
-    }
+    polygonParts(feature).forEach((poly, part) => poly.forEach((ring, ringIdx) => {
+      if (ring.length < 4) return;
+      const n = ring.length - 1;
+      const isActive = active?.featureKey === key && active.part === part && active.ring === ringIdx;
+      const props = { featureKey: key, part, ring: ringIdx, active: isActive };
+
+      for (let i = 0; i < n; i++) {
+        out.push({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: ring[i] },
+          properties: { ...props, kind: "vertex", idx: i },
+        });
+      }
+      for (let i = 0; i < n; i++) {
+        const a = ring[i], b = ring[(i + 1) % n];
+        out.push({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [(a[0]+b[0])/2, (a[1]+b[1])/2] },
+          properties: { ...props, kind: "edge", idx: i },
+        });
+      }
+    }));
   }
   return { type: "FeatureCollection", features: out };
 }
 
+// Vertex drags move one vertex; side drags insert a vertex at the
+// midpoint, or with Shift move both ends of the side together.
 function applyDrag(feature, drag, lngLat) {
-  const { kind, idx, startLng, startLat, origRing } = drag;
+  const { kind, idx, part, ring, moveSide, startLng, startLat, origRing } = drag;
   const dLng    = lngLat.lng - startLng;
   const dLat    = lngLat.lat - startLat;
   const n       = origRing.length - 1;
@@ -52,24 +55,36 @@ function applyDrag(feature, drag, lngLat) {
     newRing[idx][0] += dLng;
     newRing[idx][1] += dLat;
     if (idx === 0) { newRing[n][0] = newRing[0][0]; newRing[n][1] = newRing[0][1]; }
-  } else {
+  } else if (moveSide) {
     const next = (idx + 1) % n;
     newRing[idx][0]  += dLng; newRing[idx][1]  += dLat;
     newRing[next][0] += dLng; newRing[next][1] += dLat;
     newRing[n][0] = newRing[0][0]; newRing[n][1] = newRing[0][1];
+  } else {
+    const a = origRing[idx], b = origRing[idx + 1];
+    newRing.splice(idx + 1, 0, [(a[0] + b[0]) / 2 + dLng, (a[1] + b[1]) / 2 + dLat]);
   }
 
-  const { type } = feature.geometry;
-  if (type === "Polygon") {
-    return { ...feature, geometry: { type, coordinates: [newRing, ...feature.geometry.coordinates.slice(1)] } };
-  }
-  const polys = feature.geometry.coordinates.map((poly, pi) =>
-    pi === 0 ? [newRing, ...poly.slice(1)] : poly
-  );
-  return { ...feature, geometry: { type, coordinates: polys } };
+  return withRing(feature, part, ring, newRing);
+}
+
+// Null when the ring is already down to a triangle.
+function deleteVertex(feature, part, ringIdx, idx) {
+  const ring = getRing(feature, part, ringIdx);
+  const n = ring ? ring.length - 1 : 0;
+  if (n <= MIN_VERTICES) return null;
+  const open = ring.slice(0, n).filter((_, i) => i !== idx);
+  return withRing(feature, part, ringIdx, [...open, [...open[0]]]);
 }
 
+/*
+ * Vertex and side handles for the suggestions being edited. Returns the
+ * ring last grabbed ({ featureKey, part, ring } or null) for the shape
+ * tools; `onCommit(key, feature)` receives each finished edit.
+ */
 export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
+  const [active, setActive] = useState(null);
+  const activeRef      = useRef(null);
   const addedRef       = useRef(false);
   const dragRef        = useRef(null);
   const featuresMapRef = useRef(editingFeaturesMap);
@@ -88,14 +103,14 @@ export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
 
       map.addSource(HANDLE_SOURCE, {
         type: "geojson",
-        data: buildHandleFC(featuresMapRef.current),
+        data: buildHandleFC(featuresMapRef.current, activeRef.current),
       });
 
       map.addLayer({
         id: EDGE_LAYER, type: "circle", source: HANDLE_SOURCE,
         filter: ["==", ["get", "kind"], "edge"],
         paint: {
-          "circle-radius":       5,
+          "circle-radius":       ["case", ["get", "active"], 6, 5],
           "circle-color":        "rgba(34,197,94,0.25)",
           "circle-stroke-width": 1.5,
           "circle-stroke-color": "#22c55e",
@@ -106,7 +121,7 @@ export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
         id: VERT_LAYER, type: "circle", source: HANDLE_SOURCE,
         filter: ["==", ["get", "kind"], "vertex"],
         paint: {
-          "circle-radius":       6,
+          "circle-radius":       ["case", ["get", "active"], 7, 6],
           "circle-color":        "#22c55e",
           "circle-stroke-width": 2,
           "circle-stroke-color": "#fff",
@@ -114,18 +129,33 @@ export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
         },
       });
 
+      const removeVertex = (e) => {
+        const { idx, part, ring, featureKey } = e.features[0].properties;
+        const feature = featuresMapRef.current?.get(featureKey);
+        const updated = feature && deleteVertex(feature, part, ring, idx);
+        if (updated) onCommitRef.current?.(featureKey, updated);
+      };
+
       h.mousedown = (e) => {
         if (e.originalEvent?.button !== 0) return;
         if (!e.features?.length) return;
-        const { kind, idx, featureKey } = e.features[0].properties;
+        const { kind, idx, part, ring: ringIdx, featureKey } = e.features[0].properties;
         const feature = featuresMapRef.current?.get(featureKey);
         if (!feature) return;
-        const ring = getPolygonRing(feature);
+        const ring = getRing(feature, part, ringIdx);
         if (!ring) return;
         e.preventDefault();
+        activeRef.current = { featureKey, part, ring: ringIdx };
+        setActive(activeRef.current);
+        if (kind === "vertex" && e.originalEvent.altKey) {
+          removeVertex(e);
+          return;
+        }
         map.dragPan.disable();
         dragRef.current = {
-          featureKey, kind, idx,
+          featureKey, kind, idx, part, ring: ringIdx,
+          moveSide: e.originalEvent.shiftKey,
+          moved:    false,
           startLng: e.lngLat.lng,
           startLat: e.lngLat.lat,
           origRing: ring.map((pt) => [...pt]),
@@ -139,11 +169,12 @@ export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
         const feature = featuresMapRef.current?.get(featureKey);
         if (!feature) return;
 
+        dragRef.current.moved = true;
         const updated = applyDrag(feature, dragRef.current, e.lngLat);
 
         const tmpMap = new Map(featuresMapRef.current);
         tmpMap.set(featureKey, updated);
-        map.getSource(HANDLE_SOURCE)?.setData(buildHandleFC(tmpMap));
+        map.getSource(HANDLE_SOURCE)?.setData(buildHandleFC(tmpMap, activeRef.current));
 
         map.getSource(SEL_SOURCE)?.setData({
           type: "FeatureCollection",
@@ -156,11 +187,19 @@ export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
         const { featureKey } = dragRef.current;
         const feature = featuresMapRef.current?.get(featureKey);
         if (!feature) { dragRef.current = null; return; }
-        const updated = applyDrag(feature, dragRef.current, e.lngLat);
+        const drag = dragRef.current;
         dragRef.current = null;
         map.dragPan.enable();
         map.getCanvas().style.cursor = "";
-        onCommitRef.current?.(featureKey, updated);
+        // A click on a midpoint without dragging adds nothing.
+        if (drag.moved) onCommitRef.current?.(featureKey, applyDrag(feature, drag, e.lngLat));
+      };
+
+      h.contextmenu = (e) => {
+        if (!e.features?.length || dragRef.current) return;
+        e.preventDefault();
+        e.originalEvent?.preventDefault();
+        removeVertex(e);
       };
 
       h.enterHandle = () => { if (!dragRef.current) map.getCanvas().style.cursor = "grab"; };
@@ -170,6 +209,7 @@ export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
       map.on("mousedown",  EDGE_LAYER, h.mousedown);
       map.on("mousemove",             h.mousemove);
       map.on("mouseup",               h.mouseup);
+      map.on("contextmenu", VERT_LAYER, h.contextmenu);
       map.on("mouseenter", VERT_LAYER, h.enterHandle);
       map.on("mouseleave", VERT_LAYER, h.leaveHandle);
       map.on("mouseenter", EDGE_LAYER, h.enterHandle);
@@ -193,6 +233,7 @@ export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
         m.off("mousedown",  EDGE_LAYER, h.mousedown);
         m.off("mousemove",             h.mousemove);
         m.off("mouseup",               h.mouseup);
+        m.off("contextmenu", VERT_LAYER, h.contextmenu);
         m.off("mouseenter", VERT_LAYER, h.enterHandle);
         m.off("mouseleave", VERT_LAYER, h.leaveHandle);
         m.off("mouseenter", EDGE_LAYER, h.enterHandle);
@@ -209,7 +250,13 @@ export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
     };
   }, [mapRef]); 
 
+  // Forget the active ring once it no longer exists (deselected, deleted).
+  const current = active && getRing(editingFeaturesMap?.get(active.featureKey), active.part, active.ring)
+    ? active
+    : null;
+
   useEffect(() => {
+    activeRef.current = current;
     if (!addedRef.current) return;
     const map = mapRef.current;
     if (!map) return;
@@ -218,6 +265,8 @@ export function useSuggestionEditor(mapRef, editingFeaturesMap, onCommit) {
       map.dragPan.enable();
       map.getCanvas().style.cursor = "";
     }
-    map.getSource(HANDLE_SOURCE)?.setData(buildHandleFC(editingFeaturesMap));
-  }, [mapRef, editingFeaturesMap]);
+    map.getSource(HANDLE_SOURCE)?.setData(buildHandleFC(editingFeaturesMap, current));
+  }, [mapRef, editingFeaturesMap, current]);
+
+  return { active: current, setActive };
 }
\ No newline at end of file
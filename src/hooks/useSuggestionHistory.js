@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useRef } from "react";
+import { latestMatching, nextMatching, useCommandHistory } from "./useCommandHistory";
+import { isDrawingRef, undoScopeRef } from "./drawingState";
+
+const touches = (command, key) => command.changes.some((c) => c.key === key);
+
+// Commands on different suggestions commute, which is what lets one
+// suggestion be undone without the edits made to others since.
+const independent = (a, b) => !a.changes.some((c) => touches(b, c.key));
+
+function setSide(changes, side, setEdited, setSelected) {
+  setEdited((prev) => {
+    const next = new Map(prev);
+    for (const c of changes) {
+      if (c[side].feature) next.set(c.key, c[side].feature);
+      else next.delete(c.key);
+    }
+    return next;
+  });
+  setSelected((prev) => {
+    const next = new Set(prev);
+    for (const c of changes) {
+      if (c[side].selected) next.add(c.key);
+      else next.delete(c.key);
+    }
+    return next;
+  });
+}
+
+// The state `changes` lead to from `latest`, for commits made before the
+// re-render that brings the new state.
+function advance(latest, changes, side) {
+  const edited = new Map(latest.edited);
+  const selected = new Set(latest.selected);
+  for (const c of changes) {
+    if (c[side].feature) edited.set(c.key, c[side].feature);
+    else edited.delete(c.key);
+    if (c[side].selected) selected.add(c.key);
+    else selected.delete(c.key);
+  }
+  return { edited, selected };
+}
+
+/*
+ * Undo/redo for suggestion edits and selection. Commands hold, per
+ * suggestion key, the edited feature (null for the model's version) and
+ * whether it is selected, before and after. `commit(label, updates)` takes
+ * [{ key, feature?, selected? }], leaving out what does not change; per
+ * suggestion undo/redo step through one key's commands only.
+ */
+export function useSuggestionHistory(edited, setEdited, selected, setSelected) {
+  const latestRef = useRef({ edited, selected });
+  useEffect(() => {
+    latestRef.current = { edited, selected };
+  }, [edited, selected]);
+
+  const apply = useCallback((command) => {
+    latestRef.current = advance(latestRef.current, command.changes, "after");
+    setSide(command.changes, "after", setEdited, setSelected);
+  }, [setEdited, setSelected]);
+  const revert = useCallback((command) => {
+    latestRef.current = advance(latestRef.current, command.changes, "before");
+    setSide(command.changes, "before", setEdited, setSelected);
+  }, [setEdited, setSelected]);
+  const history = useCommandHistory(apply, revert, "suggestions");
+  const { execute, undo, redo, undoWhere, redoWhere, reset, commands, position } = history;
+
+  const commit = useCallback((label, updates) => {
+    const { edited: e, selected: s } = latestRef.current;
+    const changes = updates.map(({ key, feature, selected: sel }) => {
+      const before = { feature: e.get(key) ?? null, selected: s.has(key) };
+      const after  = {
+        feature:  feature === undefined ? before.feature : feature,
+        selected: sel ?? before.selected,
+      };
+      return { key, before, after };
+    }).filter((c) => c.before.feature !== c.after.feature || c.before.selected !== c.after.selected);
+    if (changes.length) execute({ label, changes });
+  }, [execute]);
+
+  const undoFeature = useCallback((key) => undoWhere((c) => touches(c, key), independent), [undoWhere]);
+  const redoFeature = useCallback((key) => redoWhere((c) => touches(c, key), independent), [redoWhere]);
+
+  // What per-suggestion undo/redo would do for `key`, as command labels.
+  const featureSteps = useCallback((key) => {
+    const u = latestMatching(commands, position, (c) => touches(c, key), independent);
+    const r = nextMatching(commands, position, (c) => touches(c, key), independent);
+    return { undoLabel: commands[u]?.label ?? null, redoLabel: commands[r]?.label ?? null };
+  }, [commands, position]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || undoScopeRef.current !== "suggestions") return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      if (isDrawingRef.current) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+
+  return {
+    commit, undo, redo, undoFeature, redoFeature, featureSteps, reset,
+    canUndo:   history.canUndo,
+    canRedo:   history.canRedo,
+    undoLabel: history.undoLabel,
+    redoLabel: history.redoLabel,
+  };
+}
@@ -1,30 +1,18 @@
 import { useState, useEffect, useCallback } from "react";
+import { trackLoad } from "../workers/dataClient";
 
 let cachedSuggestions = null;
-
-function parseSuggestions(fc) {
-  const byTile = new Map();
-  for (const feature of fc.features) {
-    const { tile_id, n_suggestion } = feature.properties;
-    if (!byTile.has(tile_id)) byTile.set(tile_id, new Map());
-    const byN = byTile.get(tile_id);
-    if (!byN.has(n_suggestion)) byN.set(n_suggestion, []);
-    byN.get(n_suggestion).push(feature);
-  }
-  return byTile;
-}
+let loadingPromise = null;
 
 export function useSuggestions() {
   const [suggestions, setSuggestions] = useState(cachedSuggestions);
 
   const load = useCallback(() => {
-    return fetch(`/polygons.geojson?t=${Date.now()}`)
-      .then((r) => {
-        if (!r.ok) throw new Error(`Failed to fetch polygons.geojson: ${r.status}`);
-        return r.json();
-      })
-      .then((fc) => {
-        const parsed = parseSuggestions(fc);
+    // Parsed into tile → n_suggestion → features by the data worker; the
+    // map and the tile list share one request.
+    loadingPromise ??= trackLoad("Suggestions", "loadSuggestions").finally(() => { loadingPromise = null; });
+    return loadingPromise
+      .then((parsed) => {
         cachedSuggestions = parsed;
         setSuggestions(parsed);
       })
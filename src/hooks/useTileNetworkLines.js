@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { request } from "../workers/dataClient";
+
+const EMPTY = [];
+
+// Clipped lines per network object and tile, so thumbnails scrolled back
+// into view don't ask the worker again.
+const clipCache = new WeakMap();
+
+/*
+ * SVG polyline points of the network inside a tile thumbnail. The worker
+ * clips against its copy of the loaded network; `networkData` is only the
+ * cache key and tells when that copy changed.
+ */
+export function useTileNetworkLines(tile, networkData, size) {
+  const { x, y, z } = tile;
+  const key = `${z}/${x}/${y}@${size}`;
+  const cached = networkData ? clipCache.get(networkData)?.get(key) : null;
+  const [fetched, setFetched] = useState(null);
+
+  useEffect(() => {
+    if (!networkData || cached) return;
+    let live = true;
+    request("clipTile", { tile: { x, y, z }, size })
+      .then((lines) => {
+        if (!clipCache.has(networkData)) clipCache.set(networkData, new Map());
+        clipCache.get(networkData).set(key, lines);
+        if (live) setFetched({ networkData, key, lines });
+      })
+      .catch((err) => console.error("Failed to clip network for tile:", err));
+    return () => { live = false; };
+  }, [networkData, cached, key, x, y, z, size]);
+
+  if (!networkData) return EMPTY;
+  if (cached) return cached;
+  return fetched?.networkData === networkData && fetched.key === key ? fetched.lines : EMPTY;
+}
@@ -93,7 +93,8 @@ export function useTileSelectorLayer(mapRef, {
     const container = map.getContainer();
 
     const onMouseDown = (e) => {
-      if (!e.originalEvent?.shiftKey) return;
+      // Shift-drag on a suggestion side handle moves the side instead.
+      if (!e.originalEvent?.shiftKey || e.defaultPrevented) return;
 
       dragStart.current  = { lngLat: e.lngLat, point: e.point };
       isDragging.current = false;
@@ -0,0 +1,160 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { isPickingNodesRef } from "./drawingState";
+import { nodeNearPoint } from "./useRouting";
+import { walkshed } from "../utils/networkRouting";
+import { convexHull, ringAreaM2 } from "../utils/geometry";
+
+const SOURCE_ID   = "walkshed-source";
+const FILL_LAYER  = "walkshed-fill";
+const HULL_LAYER  = "walkshed-hull";
+const LINE_LAYER  = "walkshed-line";
+const START_LAYER = "walkshed-start";
+const DEBOUNCE_MS = 150;
+const EMPTY_FC    = { type: "FeatureCollection", features: [] };
+
+export const WALKSHED_BUDGETS = [400, 800];
+
+function walkshedFC(net, startId, result) {
+  const features = [];
+  if (result?.hull) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "Polygon", coordinates: [result.hull] },
+      properties: { kind: "hull" },
+    });
+  }
+  if (result?.segments.length) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "MultiLineString", coordinates: result.segments },
+      properties: { kind: "reach" },
+    });
+  }
+  const n = startId && net.nodes.get(startId);
+  if (n) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [n.lng, n.lat] },
+      properties: { kind: "start" },
+    });
+  }
+  return { type: "FeatureCollection", features };
+}
+
+/*
+ * Walkshed from a clicked node on the editor's live graph: everything within
+ * `budget` metres along the network, plus its convex hull. Recomputed on
+ * every graph change so the effect of an edit shows immediately.
+ */
+export function useWalkshed(mapRef, graphRef, revision, enabled, budget) {
+  const [start, setStart]   = useState(null);
+  const [result, setResult] = useState(null);
+  const addedRef = useRef(false);
+
+  const clear = useCallback(() => {
+    setStart(null);
+    setResult(null);
+  }, []);
+
+  useEffect(() => {
+    isPickingNodesRef.current = enabled;
+    return () => { isPickingNodesRef.current = false; };
+  }, [enabled]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const net = graphRef.current;
+      if (start && !net.nodes.has(start)) {
+        setStart(null);
+        return;
+      }
+      if (!enabled || !start || !(budget > 0)) {
+        setResult(null);
+        return;
+      }
+      const reach = walkshed(net, start, budget);
+      const hull = convexHull(reach.segments.flat());
+      setResult({ ...reach, hull, area: ringAreaM2(hull) });
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [graphRef, revision, start, budget, enabled]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !enabled) return;
+
+    const onClick = (e) => {
+      const id = nodeNearPoint(map, graphRef.current, e.point);
+      if (id) setStart(id);
+    };
+
+    const onKeyDown = (e) => {
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      if (e.key === "Escape") clear();
+    };
+
+    const setup = () => {
+      if (!addedRef.current) {
+        map.addSource(SOURCE_ID, { type: "geojson", data: EMPTY_FC });
+        map.addLayer({
+          id: FILL_LAYER, type: "fill", source: SOURCE_ID,
+          filter: ["==", ["get", "kind"], "hull"],
+          paint: { "fill-color": "#0d9488", "fill-opacity": 0.12 },
+        });
+        map.addLayer({
+          id: HULL_LAYER, type: "line", source: SOURCE_ID,
+          filter: ["==", ["get", "kind"], "hull"],
+          paint: { "line-color": "#0d9488", "line-width": 1.5, "line-dasharray": [3, 2] },
+        });
+        map.addLayer({
+          id: LINE_LAYER, type: "line", source: SOURCE_ID,
+          filter: ["==", ["get", "kind"], "reach"],
+          layout: { "line-cap": "round", "line-join": "round" },
+          paint: { "line-color": "#0d9488", "line-width": 5, "line-opacity": 0.8 },
+        });
+        map.addLayer({
+          id: START_LAYER, type: "circle", source: SOURCE_ID,
+          filter: ["==", ["get", "kind"], "start"],
+          paint: {
+            "circle-radius":       7,
+            "circle-color":        "#0d9488",
+            "circle-stroke-width": 2,
+            "circle-stroke-color": "#fff",
+          },
+        });
+        addedRef.current = true;
+      }
+      map.getCanvas().style.cursor = "crosshair";
+      map.on("click", onClick);
+      document.addEventListener("keydown", onKeyDown);
+    };
+
+    if (map.isStyleLoaded()) setup();
+    else map.once("load", setup);
+
+    return () => {
+      map.off("load", setup);
+      map.off("click", onClick);
+      document.removeEventListener("keydown", onKeyDown);
+      if (!addedRef.current) return;
+      map.getCanvas().style.cursor = "";
+      try {
+        if (map.getLayer(START_LAYER)) map.removeLayer(START_LAYER);
+        if (map.getLayer(LINE_LAYER))  map.removeLayer(LINE_LAYER);
+        if (map.getLayer(HULL_LAYER))  map.removeLayer(HULL_LAYER);
+        if (map.getLayer(FILL_LAYER))  map.removeLayer(FILL_LAYER);
+        if (map.getSource(SOURCE_ID))  map.removeSource(SOURCE_ID);
+      } catch { /* map may be gone */ }
+      addedRef.current = false;
+    };
+  }, [mapRef, graphRef, enabled, clear]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !addedRef.current) return;
+    map.getSource(SOURCE_ID)?.setData(walkshedFC(graphRef.current, start, result));
+  }, [mapRef, graphRef, start, result, enabled]);
+
+  return { start, result: enabled ? result : null, clear };
+}
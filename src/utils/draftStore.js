@@ -0,0 +1,31 @@
+const DB_NAME = "stewards-drafts";
+const STORE   = "drafts";
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Values go through structured clone, so Maps and Sets are stored as is.
+export const saveDraft  = (key, value) => run("readwrite", (s) => s.put(value, key));
+export const loadDraft  = (key) => run("readonly", (s) => s.get(key));
+export const clearDraft = (key) => run("readwrite", (s) => s.delete(key));
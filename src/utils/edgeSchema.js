@@ -0,0 +1,53 @@
+/*
+ * Attributes shown in the edge inspector. Edit this list to change what
+ * reviewers can record on network edges; values are stored under `key` in
+ * each edge's GeoJSON properties.
+ *
+ *   select   – `options: [{ value, label, color? }]`
+ *   number   – optional `unit`, `min`, `step`
+ *   boolean  – checkbox
+ *   text     – free text, `multiline` for a textarea
+ *
+ * `EDGE_COLOR_KEY` names the select field whose option colours drive the
+ * edge line colour on the map.
+ */
+export const EDGE_SCHEMA = [
+  {
+    key:   "footway",
+    label: "Footway class",
+    type:  "select",
+    options: [
+      { value: "sidewalk", label: "Sidewalk", color: "#e85d04" },
+      { value: "crossing", label: "Crossing", color: "#7c3aed" },
+      { value: "path",     label: "Path",     color: "#0891b2" },
+    ],
+  },
+  {
+    key:   "surface",
+    label: "Surface",
+    type:  "select",
+    options: [
+      { value: "concrete",      label: "Concrete" },
+      { value: "asphalt",       label: "Asphalt" },
+      { value: "paving_stones", label: "Paving stones" },
+      { value: "brick",         label: "Brick" },
+      { value: "gravel",        label: "Gravel" },
+      { value: "unpaved",       label: "Unpaved" },
+    ],
+  },
+  { key: "width",     label: "Width",     type: "number", unit: "m", min: 0, step: 0.1 },
+  { key: "curb_ramp", label: "Curb ramp", type: "boolean" },
+  { key: "note",      label: "Note",      type: "text", multiline: true },
+];
+
+export const EDGE_COLOR_KEY     = "footway";
+export const EDGE_DEFAULT_COLOR = "#e85d04";
+
+export function edgeColorExpression(schema = EDGE_SCHEMA, colorKey = EDGE_COLOR_KEY) {
+  const field = schema.find((f) => f.key === colorKey);
+  const stops = (field?.options ?? [])
+    .filter((o) => o.color)
+    .flatMap((o) => [o.value, o.color]);
+  if (stops.length === 0) return EDGE_DEFAULT_COLOR;
+  return ["match", ["to-string", ["get", colorKey]], ...stops, EDGE_DEFAULT_COLOR];
+}
@@ -0,0 +1,130 @@
+// Even-odd ray cast. `ring` is [[x, y], …] in the same planar space as the
+// point; closing the ring is optional.
+export function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// ~1 mm; vertices closer than this are the same point.
+export const ptKey = ([x, y]) => `${x.toFixed(8)},${y.toFixed(8)}`;
+
+// `inner` lies within `outer`, ignoring the points they share.
+export function ringWithin(inner, outer) {
+  const shared = new Set(outer.map(ptKey));
+  const free = inner.filter((p) => !shared.has(ptKey(p)));
+  return free.length > 0 && free.every(([x, y]) => pointInRing(x, y, outer));
+}
+
+// Twice the signed area in lng/lat, positive for counter-clockwise.
+export function signedArea(ring) {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return a;
+}
+
+const HIT_EPS = 1e-9;
+
+// Points where segments ab and cd touch, as { t, u, point } with t along ab
+// and u along cd, ends included. Collinear overlaps give their two ends.
+export function segmentHits(a, b, c, d) {
+  const rx = b[0] - a[0], ry = b[1] - a[1];
+  const sx = d[0] - c[0], sy = d[1] - c[1];
+  const qx = c[0] - a[0], qy = c[1] - a[1];
+  const rr = rx * rx + ry * ry, ss = sx * sx + sy * sy;
+  if (rr === 0 || ss === 0) return [];
+  const denom = rx * sy - ry * sx;
+
+  if (Math.abs(denom) <= HIT_EPS * Math.sqrt(rr * ss)) {
+    if (Math.abs(qx * ry - qy * rx) > HIT_EPS * Math.sqrt(rr * (qx * qx + qy * qy))) return [];
+    const t0 = (qx * rx + qy * ry) / rr;
+    const t1 = t0 + (sx * rx + sy * ry) / rr;
+    const lo = Math.max(0, Math.min(t0, t1)), hi = Math.min(1, Math.max(t0, t1));
+    if (lo > hi + HIT_EPS) return [];
+    const at = (t) => ({ t, u: (t - t0) / (t1 - t0), point: [a[0] + t * rx, a[1] + t * ry] });
+    return hi - lo <= HIT_EPS ? [at(lo)] : [at(lo), at(hi)];
+  }
+
+  const t = (qx * sy - qy * sx) / denom;
+  const u = (qx * ry - qy * rx) / denom;
+  if (t < -HIT_EPS || t > 1 + HIT_EPS || u < -HIT_EPS || u > 1 + HIT_EPS) return [];
+  return [{ t, u, point: [a[0] + t * rx, a[1] + t * ry] }];
+}
+
+// Flattens Polygon / MultiPolygon features into individual rings, each with
+// its lng/lat bbox so callers can cheaply skip far-away ones.
+export function featureRings(features) {
+  const out = [];
+  for (const f of features) {
+    const g = f?.geometry;
+    if (!g) continue;
+    const polys = g.type === "Polygon" ? [g.coordinates] : g.type === "MultiPolygon" ? g.coordinates : [];
+    for (const poly of polys) {
+      for (const ring of poly) {
+        if (ring.length < 2) continue;
+        let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+        for (const [x, y] of ring) {
+          if (x < w) w = x; if (x > e) e = x;
+          if (y < s) s = y; if (y > n) n = y;
+        }
+        out.push({ bbox: [w, s, e, n], ring });
+      }
+    }
+  }
+  return out;
+}
+
+// [w, s, e, n] of any GeoJSON geometry, or null when it has no coordinates.
+export function geometryBBox(geometry) {
+  let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+  const visit = (c) => {
+    if (typeof c[0] === "number") {
+      if (c[0] < w) w = c[0]; if (c[0] > e) e = c[0];
+      if (c[1] < s) s = c[1]; if (c[1] > n) n = c[1];
+    } else {
+      c.forEach(visit);
+    }
+  };
+  if (geometry?.coordinates) visit(geometry.coordinates);
+  return w === Infinity ? null : [w, s, e, n];
+}
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+// Monotone-chain convex hull as a closed ring, or null for fewer than three
+// non-collinear points.
+export function convexHull(points) {
+  const pts = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return null;
+  const lower = [], upper = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  const hull = [...lower.slice(0, -1), ...upper.slice(0, -1)];
+  return hull.length >= 3 ? [...hull, hull[0]] : null;
+}
+
+// Shoelace area of a lng/lat ring in square metres, projected around its
+// mean latitude.
+export function ringAreaM2(ring) {
+  if (!ring || ring.length < 3) return 0;
+  const lat0 = ring.reduce((sum, [, y]) => sum + y, 0) / ring.length;
+  const kx = Math.cos(lat0 * (Math.PI / 180)) * 111320;
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += ring[j][0] * kx * ring[i][1] * 111320 - ring[i][0] * kx * ring[j][1] * 111320;
+  }
+  return Math.abs(a) / 2;
+}
@@ -0,0 +1,108 @@
+import { geometryBBox } from "./geometry";
+import { lngLatToTile18 } from "./tileUtils";
+
+const ext = (name) => name.toLowerCase().split(".").pop();
+
+// shpjs returns one collection per layer in a zip; flatten them into one.
+function flatten(result) {
+  const collections = Array.isArray(result) ? result : [result];
+  return {
+    type: "FeatureCollection",
+    features: collections.flatMap((fc) => fc?.features ?? []),
+  };
+}
+
+function checkLngLat(fc) {
+  for (const f of fc.features) {
+    const box = geometryBBox(f.geometry);
+    if (!box) continue;
+    const [w, s, e, n] = box;
+    if (w < -180 || e > 180 || s < -90 || n > 90) {
+      throw new Error("Coordinates are not longitude/latitude; include the .prj or reproject to WGS84");
+    }
+  }
+  return fc;
+}
+
+/*
+ * Reads dropped files into one FeatureCollection: a zipped Shapefile, the
+ * loose .shp/.dbf/.prj/.cpg parts, or a GeoJSON file. Shapefiles are
+ * reprojected to WGS84 from their .prj.
+ */
+export async function readImportFiles(files) {
+  const list = [...files];
+  const byExt = new Map(list.map((f) => [ext(f.name), f]));
+
+  // shpjs pulls in proj4, so it is only loaded once a Shapefile is dropped.
+  const shp = async (input) => (await import("shpjs")).default(input);
+
+  let fc;
+  if (byExt.has("zip")) {
+    fc = flatten(await shp(await byExt.get("zip").arrayBuffer()));
+  } else if (byExt.has("shp")) {
+    const parts = {};
+    for (const key of ["shp", "dbf", "prj", "cpg"]) {
+      const f = byExt.get(key);
+      if (!f) continue;
+      parts[key] = key === "prj" || key === "cpg" ? await f.text() : await f.arrayBuffer();
+    }
+    fc = flatten(await shp(parts));
+  } else if (byExt.has("geojson") || byExt.has("json")) {
+    const parsed = JSON.parse(await (byExt.get("geojson") ?? byExt.get("json")).text());
+    if (parsed?.type === "FeatureCollection") fc = parsed;
+    else if (parsed?.type === "Feature") fc = { type: "FeatureCollection", features: [parsed] };
+    else if (parsed?.type && parsed?.coordinates) {
+      fc = { type: "FeatureCollection", features: [{ type: "Feature", properties: {}, geometry: parsed }] };
+    } else {
+      throw new Error("Not a GeoJSON feature collection");
+    }
+  } else {
+    throw new Error("Drop a zipped Shapefile (.zip), the .shp with its .dbf, or a GeoJSON file");
+  }
+
+  fc.features = fc.features.filter((f) => f?.geometry);
+  return checkLngLat(fc);
+}
+
+// Counts of line and polygon features, which decide what an import can be
+// used as.
+export function summarizeImport(fc) {
+  let lines = 0, polygons = 0, points = 0;
+  for (const f of fc.features) {
+    const t = f.geometry.type;
+    if (t.endsWith("LineString")) lines++;
+    else if (t.endsWith("Polygon")) polygons++;
+    else if (t.endsWith("Point")) points++;
+  }
+  return { total: fc.features.length, lines, polygons, points };
+}
+
+/*
+ * Imported polygons as suggestion entries keyed `tileId:n`. Each polygon
+ * (MultiPolygon parts separately) goes to the z18 tile under its bbox
+ * centre and takes the next free suggestion number there, so nothing the
+ * model or a reviewer produced is overwritten. `taken(tileId)` lists the
+ * numbers already used for a tile.
+ */
+export function suggestionEntries(fc, taken) {
+  const next = new Map();
+  const entries = [];
+  for (const f of fc.features) {
+    const g = f.geometry;
+    const polys = g.type === "Polygon" ? [g.coordinates] : g.type === "MultiPolygon" ? g.coordinates : [];
+    for (const coordinates of polys) {
+      const geometry = { type: "Polygon", coordinates };
+      const [w, s, e, n] = geometryBBox(geometry);
+      const tileId = lngLatToTile18((w + e) / 2, (s + n) / 2);
+      if (!next.has(tileId)) next.set(tileId, Math.max(0, ...taken(tileId)) + 1);
+      const nSuggestion = next.get(tileId);
+      next.set(tileId, nSuggestion + 1);
+      entries.push([`${tileId}:${nSuggestion}`, {
+        type: "Feature",
+        geometry,
+        properties: { ...f.properties, tile_id: tileId, n_suggestion: nSuggestion },
+      }]);
+    }
+  }
+  return entries;
+}
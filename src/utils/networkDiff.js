@@ -0,0 +1,75 @@
+import { EDGE_ID_KEY, distanceMeters } from "./networkGraph";
+import { alignToBase, geometryKey } from "./networkMerge";
+import { geometryBBox } from "./geometry";
+import { lngLatToTile18 } from "./tileUtils";
+
+export const DIFF_KINDS = ["added", "removed", "moved"];
+
+const isLine = (f) => f.geometry?.type === "LineString";
+
+function lineLength(coords) {
+  let len = 0;
+  for (let i = 1; i < coords.length; i++) len += distanceMeters(coords[i - 1], coords[i]);
+  return len;
+}
+
+function change(kind, feature, before = null) {
+  const bbox = geometryBBox(feature.geometry);
+  const boxes = before ? [bbox, geometryBBox(before.geometry)] : [bbox];
+  const [w, s, e, n] = [
+    Math.min(...boxes.map((b) => b[0])), Math.min(...boxes.map((b) => b[1])),
+    Math.max(...boxes.map((b) => b[2])), Math.max(...boxes.map((b) => b[3])),
+  ];
+  return {
+    id:     `${kind}:${feature.properties[EDGE_ID_KEY]}`,
+    kind,
+    edgeId: feature.properties[EDGE_ID_KEY],
+    feature,
+    before,
+    length: lineLength(feature.geometry.coordinates),
+    tileId: lngLatToTile18((bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2),
+    bbox:   [w, s, e, n],
+  };
+}
+
+/*
+ * Edge-level differences between a reference network and the working copy,
+ * matched by stable edge id. The reference is first aligned to the current
+ * ids so lines rewritten without ids still match by geometry. Changes are
+ * ordered by tile, so stepping through them walks the map tile by tile.
+ */
+export function diffNetworks(referenceFC, currentFC) {
+  const aligned = alignToBase(referenceFC, currentFC);
+  const before = new Map(aligned.features.filter(isLine).map((f) => [f.properties[EDGE_ID_KEY], f]));
+  const after  = new Map(currentFC.features.filter(isLine).map((f) => [f.properties[EDGE_ID_KEY], f]));
+
+  const changes = [];
+  for (const [id, f] of after) {
+    const prev = before.get(id);
+    if (!prev) changes.push(change("added", f));
+    else if (geometryKey(prev.geometry) !== geometryKey(f.geometry)) changes.push(change("moved", f, prev));
+  }
+  for (const [id, f] of before) {
+    if (!after.has(id)) changes.push(change("removed", f));
+  }
+  changes.sort((a, b) => (a.tileId < b.tileId ? -1 : a.tileId > b.tileId ? 1 : DIFF_KINDS.indexOf(a.kind) - DIFF_KINDS.indexOf(b.kind)));
+
+  const empty = () => ({ added: 0, removed: 0, moved: 0, addedLength: 0, removedLength: 0 });
+  const totals = empty();
+  const tiles = new Map();
+  for (const c of changes) {
+    if (!tiles.has(c.tileId)) tiles.set(c.tileId, { tileId: c.tileId, first: changes.indexOf(c), ...empty() });
+    for (const t of [totals, tiles.get(c.tileId)]) {
+      t[c.kind] += 1;
+      if (c.kind === "added")   t.addedLength += c.length;
+      if (c.kind === "removed") t.removedLength += c.length;
+      if (c.kind === "moved") {
+        const delta = c.length - lineLength(c.before.geometry.coordinates);
+        if (delta > 0) t.addedLength += delta;
+        else t.removedLength -= delta;
+      }
+    }
+  }
+
+  return { changes, tiles: [...tiles.values()], totals };
+}
@@ -0,0 +1,400 @@
+import { edgeCoords, edgeLength, EDGE_ID_KEY, NODE_IDS_KEY } from "./networkGraph";
+import { createZip } from "./zip";
+
+export const EXPORT_FORMATS = [
+  { key: "shapefile", label: "Shapefile (.zip)" },
+  { key: "osm",       label: "OSM XML for JOSM (.osm)" },
+  { key: "graphJson", label: "Node / edge list (.json)" },
+  { key: "graphml",   label: "GraphML (.graphml)" },
+];
+
+const WGS84_PRJ =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Ids and topology are written as explicit columns; the comma-joined node
+// list from the GeoJSON is internal.
+const OMIT_KEYS = new Set(["id", EDGE_ID_KEY, NODE_IDS_KEY]);
+
+function edgeRows({ nodes, edges }) {
+  const rows = [];
+  for (const edge of edges.values()) {
+    const coords = edgeCoords(edge, nodes);
+    if (coords.length < 2) continue;
+    rows.push({ edge, coords, length: edgeLength(edge, nodes) });
+  }
+  return rows;
+}
+
+/*
+ * Edges cut at every vertex another edge also uses, so each piece runs
+ * junction to junction. Routing tools only see edge endpoints; without this
+ * a T-junction on an interior vertex would be invisible to them.
+ */
+export function routableEdges({ nodes, edges, nodeEdgeIndex }) {
+  const out = [];
+  for (const edge of edges.values()) {
+    const ids = edge.nodeIds.filter((id) => nodes.has(id));
+    if (ids.length < 2) continue;
+    let start = 0;
+    let part = 0;
+    for (let i = 1; i < ids.length; i++) {
+      const last = i === ids.length - 1;
+      if (!last && (nodeEdgeIndex.get(ids[i])?.size ?? 0) < 2) continue;
+      const nodeIds = ids.slice(start, i + 1);
+      const piece = { id: edge.id, nodeIds, properties: edge.properties };
+      out.push({
+        id:     part === 0 && last ? edge.id : `${edge.id}:${part}`,
+        source: nodeIds[0],
+        target: nodeIds[nodeIds.length - 1],
+        length: edgeLength(piece, nodes),
+        coords: edgeCoords(piece, nodes),
+        edge,
+      });
+      part += 1;
+      start = i;
+    }
+  }
+  return out;
+}
+
+function propertyKeys(rows) {
+  const keys = new Set();
+  for (const { edge } of rows) {
+    for (const [k, v] of Object.entries(edge.properties ?? {})) {
+      if (!OMIT_KEYS.has(k) && v !== null && v !== undefined && typeof v !== "object") keys.add(k);
+    }
+  }
+  return [...keys];
+}
+
+// ── Shapefile ───────────────────────────────────────────────────────────
+
+function dbfFields(rows) {
+  const enc = new TextEncoder();
+  const fields = [
+    { key: EDGE_ID_KEY, type: "C", size: 24, value: (r) => r.edge.id },
+    { key: "from_node", type: "C", size: 24, value: (r) => r.edge.nodeIds[0] },
+    { key: "to_node",   type: "C", size: 24, value: (r) => r.edge.nodeIds[r.edge.nodeIds.length - 1] },
+    { key: "length_m",  type: "N", size: 12, decimals: 2, value: (r) => r.length },
+  ];
+  const used = new Set(fields.map((f) => f.key));
+
+  for (const key of propertyKeys(rows)) {
+    let name = key.slice(0, 10);
+    for (let n = 1; used.has(name); n++) name = `${key.slice(0, 10 - String(n).length)}${n}`;
+    used.add(name);
+
+    const values = rows.map((r) => r.edge.properties?.[key]).filter((v) => v !== null && v !== undefined);
+    const value = (r) => r.edge.properties?.[key];
+    if (values.every((v) => typeof v === "boolean")) {
+      fields.push({ key: name, type: "L", size: 1, value });
+    } else if (values.every((v) => typeof v === "number")) {
+      fields.push({ key: name, type: "N", size: 18, decimals: 6, value });
+    } else {
+      const longest = Math.max(1, ...values.map((v) => enc.encode(String(v)).length));
+      fields.push({ key: name, type: "C", size: Math.min(254, longest), value });
+    }
+  }
+  return fields;
+}
+
+function dbfCell(field, v, enc) {
+  const out = new Uint8Array(field.size).fill(0x20);
+  if (v === null || v === undefined) {
+    if (field.type === "L") out[0] = 0x3f;
+    return out;
+  }
+  if (field.type === "L") {
+    out[0] = v ? 0x54 : 0x46;
+  } else if (field.type === "N") {
+    const s = Number(v).toFixed(field.decimals ?? 0).slice(0, field.size);
+    out.set(enc.encode(s), field.size - s.length);
+  } else {
+    let bytes = enc.encode(String(v));
+    if (bytes.length > field.size) {
+      // Cut on a character boundary so the last cell never holds half a
+      // UTF-8 sequence.
+      let s = String(v);
+      while (enc.encode(s).length > field.size) s = s.slice(0, -1);
+      bytes = enc.encode(s);
+    }
+    out.set(bytes, 0);
+  }
+  return out;
+}
+
+function writeDbf(rows) {
+  const enc = new TextEncoder();
+  const fields = dbfFields(rows);
+  const headerLen = 32 + 32 * fields.length + 1;
+  const recordLen = 1 + fields.reduce((sum, f) => sum + f.size, 0);
+  const buf = new Uint8Array(headerLen + recordLen * rows.length + 1);
+  const view = new DataView(buf.buffer);
+  const now = new Date();
+
+  buf[0] = 0x03;
+  buf[1] = now.getFullYear() - 1900;
+  buf[2] = now.getMonth() + 1;
+  buf[3] = now.getDate();
+  view.setUint32(4, rows.length, true);
+  view.setUint16(8, headerLen, true);
+  view.setUint16(10, recordLen, true);
+
+  fields.forEach((f, i) => {
+    const at = 32 + 32 * i;
+    buf.set(enc.encode(f.key).slice(0, 10), at);
+    buf[at + 11] = f.type.charCodeAt(0);
+    buf[at + 16] = f.size;
+    buf[at + 17] = f.decimals ?? 0;
+  });
+  buf[headerLen - 1] = 0x0d;
+
+  let pos = headerLen;
+  for (const row of rows) {
+    buf[pos++] = 0x20;
+    for (const f of fields) {
+      buf.set(dbfCell(f, f.value(row), enc), pos);
+      pos += f.size;
+    }
+  }
+  buf[pos] = 0x1a;
+  return buf;
+}
+
+function shpHeader(view, fileBytes, bbox) {
+  view.setInt32(0, 9994, false);
+  view.setInt32(24, fileBytes / 2, false);
+  view.setInt32(28, 1000, true);
+  view.setInt32(32, 3, true);
+  bbox.forEach((v, i) => view.setFloat64(36 + 8 * i, v, true));
+}
+
+// PolyLine (type 3) .shp and .shx, one single-part record per edge.
+function writeShp(rows) {
+  const sizes = rows.map(({ coords }) => 4 + 32 + 4 + 4 + 4 + 16 * coords.length);
+  const shpBytes = 100 + sizes.reduce((sum, s) => sum + 8 + s, 0);
+  const shxBytes = 100 + 8 * rows.length;
+  const shp = new DataView(new ArrayBuffer(shpBytes));
+  const shx = new DataView(new ArrayBuffer(shxBytes));
+
+  let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+  const boxes = rows.map(({ coords }) => {
+    let bw = Infinity, bs = Infinity, be = -Infinity, bn = -Infinity;
+    for (const [x, y] of coords) {
+      if (x < bw) bw = x; if (x > be) be = x;
+      if (y < bs) bs = y; if (y > bn) bn = y;
+    }
+    w = Math.min(w, bw); s = Math.min(s, bs); e = Math.max(e, be); n = Math.max(n, bn);
+    return [bw, bs, be, bn];
+  });
+  const bbox = rows.length ? [w, s, e, n] : [0, 0, 0, 0];
+  shpHeader(shp, shpBytes, bbox);
+  shpHeader(shx, shxBytes, bbox);
+
+  let pos = 100;
+  rows.forEach(({ coords }, i) => {
+    shx.setInt32(100 + 8 * i, pos / 2, false);
+    shx.setInt32(104 + 8 * i, sizes[i] / 2, false);
+
+    shp.setInt32(pos, i + 1, false);
+    shp.setInt32(pos + 4, sizes[i] / 2, false);
+    let p = pos + 8;
+    shp.setInt32(p, 3, true);
+    boxes[i].forEach((v, k) => shp.setFloat64(p + 4 + 8 * k, v, true));
+    shp.setInt32(p + 36, 1, true);
+    shp.setInt32(p + 40, coords.length, true);
+    shp.setInt32(p + 44, 0, true);
+    p += 48;
+    for (const [x, y] of coords) {
+      shp.setFloat64(p, x, true);
+      shp.setFloat64(p + 8, y, true);
+      p += 16;
+    }
+    pos += 8 + sizes[i];
+  });
+
+  return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) };
+}
+
+function toShapefile(net, name) {
+  const rows = edgeRows(net);
+  const { shp, shx } = writeShp(rows);
+  return createZip([
+    { name: `${name}.shp`, data: shp },
+    { name: `${name}.shx`, data: shx },
+    { name: `${name}.dbf`, data: writeDbf(rows) },
+    { name: `${name}.prj`, data: WGS84_PRJ },
+    { name: `${name}.cpg`, data: "UTF-8" },
+  ]);
+}
+
+// ── OSM XML ─────────────────────────────────────────────────────────────
+
+const xmlEscape = (v) => String(v)
+  .replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;")
+  .replaceAll('"', "&quot;").replaceAll("'", "&apos;");
+
+// Editor attributes mapped onto OSM sidewalk tagging; anything without an
+// OSM equivalent is kept under a `stewards:` prefix so it survives review.
+function osmTags(edge) {
+  const props = edge.properties ?? {};
+  const tags = [];
+  if (props.footway === "path") tags.push(["highway", "path"]);
+  else {
+    tags.push(["highway", "footway"]);
+    if (props.footway) tags.push(["footway", props.footway]);
+  }
+  if (props.surface) tags.push(["surface", props.surface]);
+  if (props.width !== null && props.width !== undefined && props.width !== "") tags.push(["width", props.width]);
+  if (props.curb_ramp === true || props.curb_ramp === "yes") tags.push(["kerb", "lowered"]);
+  if (props.note) tags.push(["note", props.note]);
+  for (const [k, v] of Object.entries(props)) {
+    if (OMIT_KEYS.has(k) || ["footway", "surface", "width", "curb_ramp", "note"].includes(k)) continue;
+    if (v === null || v === undefined || v === "" || typeof v === "object") continue;
+    tags.push([`stewards:${k}`, v]);
+  }
+  tags.push(["stewards:edge_id", edge.id]);
+  return tags;
+}
+
+function toOsmXml({ nodes, edges }) {
+  // New objects get negative ids, which JOSM treats as not yet uploaded.
+  const osmIds = new Map();
+  const nodeLines = [];
+  const wayLines = [];
+  let nextId = -1;
+
+  for (const edge of edges.values()) {
+    const ids = edge.nodeIds.filter((id) => nodes.has(id));
+    if (ids.length < 2) continue;
+    for (const id of ids) {
+      if (osmIds.has(id)) continue;
+      const n = nodes.get(id);
+      osmIds.set(id, nextId);
+      nodeLines.push(`  <node id="${nextId}" action="modify" visible="true" lat="${n.lat}" lon="${n.lng}" />`);
+      nextId -= 1;
+    }
+    wayLines.push(`  <way id="${nextId}" action="modify" visible="true">`);
+    nextId -= 1;
+    for (const id of ids) wayLines.push(`    <nd ref="${osmIds.get(id)}" />`);
+    for (const [k, v] of osmTags(edge)) wayLines.push(`    <tag k="${xmlEscape(k)}" v="${xmlEscape(v)}" />`);
+    wayLines.push("  </way>");
+  }
+
+  return [
+    "<?xml version='1.0' encoding='UTF-8'?>",
+    "<osm version='0.6' upload='never' generator='stewards'>",
+    ...nodeLines,
+    ...wayLines,
+    "</osm>",
+    "",
+  ].join("\n");
+}
+
+// ── Routable graphs ─────────────────────────────────────────────────────
+
+function graphParts(net) {
+  const pieces = routableEdges(net);
+  const used = new Set();
+  for (const p of pieces) { used.add(p.source); used.add(p.target); }
+  const nodeList = [...used].map((id) => net.nodes.get(id));
+  return { pieces, nodeList };
+}
+
+function edgeAttributes(edge) {
+  const out = {};
+  for (const [k, v] of Object.entries(edge.properties ?? {})) {
+    if (!OMIT_KEYS.has(k) && v !== null && v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+function toGraphJson(net) {
+  const { pieces, nodeList } = graphParts(net);
+  return JSON.stringify({
+    crs:   "EPSG:4326",
+    units: { length: "m" },
+    nodes: nodeList.map((n) => ({ id: n.id, lng: n.lng, lat: n.lat })),
+    edges: pieces.map((p) => ({
+      id:          p.id,
+      edge_id:     p.edge.id,
+      source:      p.source,
+      target:      p.target,
+      length:      Math.round(p.length * 100) / 100,
+      coordinates: p.coords,
+      properties:  edgeAttributes(p.edge),
+    })),
+  }, null, 2);
+}
+
+function toGraphML(net) {
+  const { pieces, nodeList } = graphParts(net);
+  const keys = [...new Set(pieces.flatMap((p) => Object.keys(edgeAttributes(p.edge))))];
+  const attrType = (key) => {
+    const values = pieces.map((p) => p.edge.properties?.[key]).filter((v) => v !== null && v !== undefined);
+    if (values.every((v) => typeof v === "boolean")) return "boolean";
+    if (values.every((v) => typeof v === "number")) return "double";
+    return "string";
+  };
+  const attrValue = (v) => (typeof v === "object" ? JSON.stringify(v) : v);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="lng" for="node" attr.name="lng" attr.type="double" />',
+    '  <key id="lat" for="node" attr.name="lat" attr.type="double" />',
+    '  <key id="length" for="edge" attr.name="length" attr.type="double" />',
+    '  <key id="edge_id" for="edge" attr.name="edge_id" attr.type="string" />',
+    '  <key id="geometry" for="edge" attr.name="geometry" attr.type="string" />',
+    ...keys.map((k, i) => `  <key id="a${i}" for="edge" attr.name="${xmlEscape(k)}" attr.type="${attrType(k)}" />`),
+    '  <graph id="network" edgedefault="undirected">',
+  ];
+  for (const n of nodeList) {
+    lines.push(`    <node id="${xmlEscape(n.id)}"><data key="lng">${n.lng}</data><data key="lat">${n.lat}</data></node>`);
+  }
+  for (const p of pieces) {
+    const wkt = `LINESTRING (${p.coords.map(([x, y]) => `${x} ${y}`).join(", ")})`;
+    const attrs = edgeAttributes(p.edge);
+    lines.push(`    <edge id="${xmlEscape(p.id)}" source="${xmlEscape(p.source)}" target="${xmlEscape(p.target)}">`);
+    lines.push(`      <data key="length">${p.length.toFixed(2)}</data>`);
+    lines.push(`      <data key="edge_id">${xmlEscape(p.edge.id)}</data>`);
+    lines.push(`      <data key="geometry">${wkt}</data>`);
+    keys.forEach((k, i) => {
+      if (k in attrs) lines.push(`      <data key="a${i}">${xmlEscape(attrValue(attrs[k]))}</data>`);
+    });
+    lines.push("    </edge>");
+  }
+  lines.push("  </graph>", "</graphml>", "");
+  return lines.join("\n");
+}
+
+/*
+ * Serialises the editor graph in `format` (a key of EXPORT_FORMATS) and
+ * returns `{ filename, blob }` ready to download.
+ */
+export function exportNetwork(net, format, name = "network") {
+  switch (format) {
+    case "shapefile":
+      return { filename: `${name}.zip`, blob: new Blob([toShapefile(net, name)], { type: "application/zip" }) };
+    case "osm":
+      return { filename: `${name}.osm`, blob: new Blob([toOsmXml(net)], { type: "application/xml" }) };
+    case "graphJson":
+      return { filename: `${name}-graph.json`, blob: new Blob([toGraphJson(net)], { type: "application/json" }) };
+    case "graphml":
+      return { filename: `${name}.graphml`, blob: new Blob([toGraphML(net)], { type: "application/xml" }) };
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+export function downloadBlob({ filename, blob }) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,459 @@
+import { createGridIndex, coordsBBox } from "./spatialIndex";
+
+// Stable ids live in the feature properties: `edge_id` plus a comma-joined
+// `node_ids` (one per coordinate) on lines, `node_id` on points. Files
+// written before that, or lines added by the model, get fresh ids here,
+// which the next save writes out.
+export const EDGE_ID_KEY  = "edge_id";
+export const NODE_IDS_KEY = "node_ids";
+export const NODE_ID_KEY  = "node_id";
+
+const coordKey = (lng, lat) => `${lng.toFixed(6)},${lat.toFixed(6)}`;
+
+function lineParts(geometry) {
+  if (geometry?.type === "LineString") return [geometry.coordinates];
+  if (geometry?.type === "MultiLineString") return geometry.coordinates;
+  return [];
+}
+
+export function parseNetwork(geojson) {
+  const features = geojson?.features ?? [];
+  const byKey = new Map();
+  const edges = new Map();
+  const nodeEdgeIndex = new Map();
+  const pointProps = new Map();
+
+  // First pass: the id each coordinate was saved with, if any.
+  const storedIds = new Map();
+  const remember = (key, id) => {
+    if (id && !storedIds.has(key)) storedIds.set(key, String(id));
+  };
+  for (const f of features) {
+    const props = f.properties ?? {};
+    if (f.geometry?.type === "Point") {
+      remember(coordKey(...f.geometry.coordinates), props[NODE_ID_KEY]);
+      continue;
+    }
+    const parts = lineParts(f.geometry);
+    const ids = typeof props[NODE_IDS_KEY] === "string" ? props[NODE_IDS_KEY].split(",") : null;
+    if (parts.length !== 1 || !ids || ids.length !== parts[0].length) continue;
+    parts[0].forEach(([lng, lat], i) => remember(coordKey(lng, lat), ids[i]));
+  }
+
+  const usedNodeIds = new Set();
+  const getNode = (lng, lat) => {
+    const key = coordKey(lng, lat);
+    if (!byKey.has(key)) {
+      let id = storedIds.get(key);
+      if (!id || usedNodeIds.has(id)) {
+        id = newId("n");
+      }
+      usedNodeIds.add(id);
+      byKey.set(key, { id, lng, lat });
+    }
+    return byKey.get(key).id;
+  };
+
+  for (const f of features) {
+    const { [EDGE_ID_KEY]: storedEdgeId, [NODE_IDS_KEY]: _nodeIds, [NODE_ID_KEY]: _nodeId, ...properties } = f.properties ?? {};
+    if (f.geometry?.type === "Point") {
+      const [lng, lat] = f.geometry.coordinates;
+      pointProps.set(getNode(lng, lat), properties);
+      continue;
+    }
+    const parts = lineParts(f.geometry);
+    for (const part of parts) {
+      const nodeIds = part.map(([lng, lat]) => getNode(lng, lat));
+      if (nodeIds.length < 2) continue;
+      let id = parts.length === 1 && storedEdgeId ? String(storedEdgeId) : null;
+      if (!id || edges.has(id)) {
+        id = newId("e");
+      }
+      edges.set(id, { id, nodeIds, properties: { ...properties } });
+      for (const nid of nodeIds) {
+        if (!nodeEdgeIndex.has(nid)) nodeEdgeIndex.set(nid, new Set());
+        nodeEdgeIndex.get(nid).add(id);
+      }
+    }
+  }
+
+  for (const n of byKey.values()) {
+    if (pointProps.has(n.id)) n.properties = pointProps.get(n.id);
+  }
+  const nodes = new Map([...byKey.values()].map((n) => [n.id, n]));
+  return { nodes, edges, nodeEdgeIndex };
+}
+
+export function edgeCoords(edge, nodes) {
+  return edge.nodeIds
+    .map((id) => nodes.get(id))
+    .filter(Boolean)
+    .map((n) => [n.lng, n.lat]);
+}
+
+function nodeFeature(node) {
+  return {
+    type: "Feature",
+    properties: { id: node.id },
+    geometry: { type: "Point", coordinates: [node.lng, node.lat] },
+  };
+}
+
+function edgeFeature(edge, nodes) {
+  return {
+    type: "Feature",
+    properties: { ...edge.properties, id: edge.id },
+    geometry: { type: "LineString", coordinates: edgeCoords(edge, nodes) },
+  };
+}
+
+export function buildCaches({ nodes, edges }) {
+  const nodeFeatMap = new Map();
+  const edgeFeatMap = new Map();
+
+  const nodeFC = {
+    type: "FeatureCollection",
+    features: [...nodes.values()].map((n) => {
+      const f = nodeFeature(n);
+      nodeFeatMap.set(n.id, f);
+      return f;
+    }),
+  };
+
+  const edgeFC = {
+    type: "FeatureCollection",
+    features: [...edges.values()].flatMap((e) => {
+      const f = edgeFeature(e, nodes);
+      if (f.geometry.coordinates.length < 2) return [];
+      edgeFeatMap.set(e.id, f);
+      return f;
+    }),
+  };
+
+  return { nodeFC, edgeFC, nodeFeatMap, edgeFeatMap };
+}
+
+/*
+ * Grid indexes over node positions and edge bboxes, for lookups by area
+ * instead of scanning the whole graph. Built on first use and kept current
+ * by the ops below and by moveNodeTo, so graphs that are only parsed (for
+ * a diff or a merge) never pay for one.
+ */
+export function spatialIndex(net) {
+  if (!net.spatial) {
+    const nodes = createGridIndex();
+    const edges = createGridIndex();
+    for (const n of net.nodes.values()) nodes.insert(n.id, [n.lng, n.lat, n.lng, n.lat]);
+    for (const e of net.edges.values()) edges.insert(e.id, coordsBBox(edgeCoords(e, net.nodes)));
+    net.spatial = { nodes, edges };
+  }
+  return net.spatial;
+}
+
+// Re-files a node and the edges through it after it was added or moved.
+function reindexNode(net, nodeId) {
+  const node = net.nodes.get(nodeId);
+  if (!net.spatial || !node) return;
+  net.spatial.nodes.insert(nodeId, [node.lng, node.lat, node.lng, node.lat]);
+  for (const eid of net.nodeEdgeIndex.get(nodeId) ?? []) {
+    const edge = net.edges.get(eid);
+    if (edge) net.spatial.edges.insert(eid, coordsBBox(edgeCoords(edge, net.nodes)));
+  }
+}
+
+const M_PER_DEG = 111320;
+
+// Equirectangular distance in metres; accurate enough at sidewalk scale.
+export function distanceMeters([lng1, lat1], [lng2, lat2]) {
+  const kx = Math.cos(((lat1 + lat2) / 2) * (Math.PI / 180));
+  return Math.hypot((lng2 - lng1) * kx, lat2 - lat1) * M_PER_DEG;
+}
+
+export function edgeLength(edge, nodes) {
+  const coords = edgeCoords(edge, nodes);
+  let len = 0;
+  for (let i = 1; i < coords.length; i++) len += distanceMeters(coords[i - 1], coords[i]);
+  return len;
+}
+
+// Random rather than sequential so ids from different sessions never clash.
+export function newId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replaceAll("-", "").slice(0, 12)}`;
+}
+
+export function closestSegmentIdx(nodeIds, nodes, lng, lat) {
+  let best = 0, bestD = Infinity;
+  for (let i = 0; i < nodeIds.length - 1; i++) {
+    const a = nodes.get(nodeIds[i]);
+    const b = nodes.get(nodeIds[i + 1]);
+    if (!a || !b) continue;
+    const d = ((a.lng + b.lng) / 2 - lng) ** 2 + ((a.lat + b.lat) / 2 - lat) ** 2;
+    if (d < bestD) { bestD = d; best = i; }
+  }
+  return best;
+}
+
+// Nearest point to (x, y) on a polyline given as [[x, y], …], in whatever
+// planar space the caller projected into.
+export function nearestOnPolyline(points, x, y) {
+  let best = null;
+  for (let i = 0; i < points.length - 1; i++) {
+    const [ax, ay] = points[i];
+    const [bx, by] = points[i + 1];
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / len2));
+    const px = ax + t * dx, py = ay + t * dy;
+    const d = Math.hypot(px - x, py - y);
+    if (!best || d < best.d) best = { idx: i, t, x: px, y: py, d };
+  }
+  return best;
+}
+
+// Each half gets its own copy of the properties, so editing one later
+// leaves the other alone.
+export function splitEdgeOps(edge, idx, node) {
+  const a = { id: newId("e"), nodeIds: [...edge.nodeIds.slice(0, idx + 1), node.id], properties: { ...edge.properties } };
+  const b = { id: newId("e"), nodeIds: [node.id, ...edge.nodeIds.slice(idx + 1)], properties: { ...edge.properties } };
+  return {
+    halves: [a, b],
+    ops: [
+      { type: "addNode",    node },
+      { type: "removeEdge", edge: snapshotEdge(edge) },
+      { type: "addEdge",    edge: a },
+      { type: "addEdge",    edge: b },
+    ],
+  };
+}
+
+// Joins the two edges ending at a degree-2 node into one. The node stays as
+// an interior vertex; the joined edge keeps the first edge's id and
+// properties. Returns null when the node is not a plain pass-through.
+export function dissolveNodeOps({ edges, nodeEdgeIndex }, nodeId) {
+  const incident = [...(nodeEdgeIndex.get(nodeId) ?? [])].map((id) => edges.get(id)).filter(Boolean);
+  if (incident.length !== 2) return null;
+  const [a, b] = incident;
+  const once = (e) => e.nodeIds.indexOf(nodeId) === e.nodeIds.lastIndexOf(nodeId);
+  if (!once(a) || !once(b)) return null;
+
+  const last = (ids) => ids[ids.length - 1];
+  const bFrom = b.nodeIds[0] === nodeId ? b.nodeIds : last(b.nodeIds) === nodeId ? [...b.nodeIds].reverse() : null;
+  if (!bFrom) return null;
+  let nodeIds;
+  if (last(a.nodeIds) === nodeId) nodeIds = [...a.nodeIds, ...bFrom.slice(1)];
+  else if (a.nodeIds[0] === nodeId) nodeIds = [...[...bFrom].reverse().slice(0, -1), ...a.nodeIds];
+  else return null;
+
+  return [
+    { type: "removeEdge", edge: snapshotEdge(a) },
+    { type: "removeEdge", edge: snapshotEdge(b) },
+    { type: "addEdge",    edge: { ...snapshotEdge(a), nodeIds } },
+  ];
+}
+
+// Collapses `otherIds` into `keepId`, optionally moving it to `to`. Edges
+// are rewired onto the kept node; ones that shrink to a single node are
+// dropped.
+export function mergeNodesOps({ nodes, edges, nodeEdgeIndex }, keepId, otherIds, to = null) {
+  const keep = nodes.get(keepId);
+  const merged = new Set([keepId, ...otherIds]);
+  const ops = to ? [{ type: "moveNode", id: keepId, from: [keep.lng, keep.lat], to }] : [];
+
+  const touched = new Set();
+  for (const id of otherIds) for (const eid of nodeEdgeIndex.get(id) ?? []) touched.add(eid);
+  for (const eid of touched) {
+    const edge = edges.get(eid);
+    if (!edge) continue;
+    const nodeIds = [];
+    for (const nid of edge.nodeIds) {
+      const mapped = merged.has(nid) ? keepId : nid;
+      if (nodeIds[nodeIds.length - 1] !== mapped) nodeIds.push(mapped);
+    }
+    ops.push({ type: "removeEdge", edge: snapshotEdge(edge) });
+    if (nodeIds.length >= 2) ops.push({ type: "addEdge", edge: { ...snapshotEdge(edge), nodeIds } });
+  }
+  for (const id of otherIds) ops.push({ type: "removeNode", node: snapshotNode(nodes.get(id)) });
+  return ops;
+}
+
+// Nodes one segment away from `nodeId` along any edge.
+export function neighbourIds({ edges, nodeEdgeIndex }, nodeId) {
+  const out = new Set();
+  for (const eid of nodeEdgeIndex.get(nodeId) ?? []) {
+    const ids = edges.get(eid)?.nodeIds ?? [];
+    ids.forEach((id, i) => {
+      if (id !== nodeId) return;
+      if (i > 0 && ids[i - 1] !== nodeId) out.add(ids[i - 1]);
+      if (i < ids.length - 1 && ids[i + 1] !== nodeId) out.add(ids[i + 1]);
+    });
+  }
+  return [...out];
+}
+
+// Edges are written back with the properties they were loaded with plus
+// their stable ids. Nodes only become Point features when the source file
+// carried them as such.
+export function exportToGeoJSON({ nodes, edges }) {
+  const features = [];
+  for (const edge of edges.values()) {
+    const present = edge.nodeIds.filter((id) => nodes.has(id));
+    if (present.length < 2) continue;
+    features.push({
+      type: "Feature",
+      properties: { ...edge.properties, [EDGE_ID_KEY]: edge.id, [NODE_IDS_KEY]: present.join(",") },
+      geometry: { type: "LineString", coordinates: edgeCoords(edge, nodes) },
+    });
+  }
+  for (const node of nodes.values()) {
+    if (!node.properties) continue;
+    features.push({
+      type: "Feature",
+      properties: { ...node.properties, [NODE_ID_KEY]: node.id },
+      geometry: { type: "Point", coordinates: [node.lng, node.lat] },
+    });
+  }
+  return { type: "FeatureCollection", features };
+}
+
+// Moves a node and refreshes the cached geometry of every edge touching it.
+// Used directly while dragging, and by the "moveNode" op once committed.
+export function moveNodeTo(net, cache, nodeId, lng, lat) {
+  const { nodes, edges, nodeEdgeIndex } = net;
+  const { nodeFeatMap, edgeFeatMap } = cache;
+  const node = nodes.get(nodeId);
+  if (!node) return;
+  node.lng = lng;
+  node.lat = lat;
+
+  const nodeFeat = nodeFeatMap.get(nodeId);
+  if (nodeFeat) nodeFeat.geometry.coordinates = [lng, lat];
+
+  for (const eid of nodeEdgeIndex.get(nodeId) ?? []) {
+    const edge = edges.get(eid);
+    const feat = edgeFeatMap.get(eid);
+    if (edge && feat) feat.geometry.coordinates = edgeCoords(edge, nodes);
+  }
+  reindexNode(net, nodeId);
+}
+
+// Where each feature sits in its collection, built on the first removal so
+// a removal swaps the last feature into the gap instead of searching.
+const featurePositions = new WeakMap();
+
+function positionsOf(fc) {
+  let pos = featurePositions.get(fc);
+  if (!pos) {
+    pos = new Map(fc.features.map((f, i) => [f.properties.id, i]));
+    featurePositions.set(fc, pos);
+  }
+  return pos;
+}
+
+function addFeature(fc, featMap, id, f) {
+  featMap.set(id, f);
+  featurePositions.get(fc)?.set(id, fc.features.length);
+  fc.features.push(f);
+}
+
+function removeFeature(fc, featMap, id) {
+  featMap.delete(id);
+  const pos = positionsOf(fc);
+  const idx = pos.get(id);
+  if (idx === undefined) return;
+  pos.delete(id);
+  const last = fc.features.pop();
+  if (idx < fc.features.length) {
+    fc.features[idx] = last;
+    pos.set(last.properties.id, idx);
+  }
+}
+
+/*
+ * Every editor operation is expressed as a list of primitive ops. Each op
+ * carries enough data to be inverted, so a command is undone by applying
+ * the inverse of its ops in reverse order.
+ */
+const APPLY = {
+  addNode(net, cache, { node }) {
+    const n = { ...node };
+    net.nodes.set(n.id, n);
+    addFeature(cache.nodeFC, cache.nodeFeatMap, n.id, nodeFeature(n));
+    reindexNode(net, n.id);
+  },
+
+  removeNode(net, cache, { node }) {
+    net.nodes.delete(node.id);
+    net.nodeEdgeIndex.delete(node.id);
+    net.spatial?.nodes.remove(node.id);
+    removeFeature(cache.nodeFC, cache.nodeFeatMap, node.id);
+  },
+
+  moveNode(net, cache, { id, to }) {
+    moveNodeTo(net, cache, id, to[0], to[1]);
+  },
+
+  addEdge(net, cache, { edge }) {
+    const e = { ...edge, nodeIds: [...edge.nodeIds] };
+    net.edges.set(e.id, e);
+    for (const nid of e.nodeIds) {
+      if (!net.nodeEdgeIndex.has(nid)) net.nodeEdgeIndex.set(nid, new Set());
+      net.nodeEdgeIndex.get(nid).add(e.id);
+    }
+    const f = edgeFeature(e, net.nodes);
+    addFeature(cache.edgeFC, cache.edgeFeatMap, e.id, f);
+    net.spatial?.edges.insert(e.id, coordsBBox(f.geometry.coordinates));
+  },
+
+  removeEdge(net, cache, { edge }) {
+    net.edges.delete(edge.id);
+    for (const nid of edge.nodeIds) net.nodeEdgeIndex.get(nid)?.delete(edge.id);
+    net.spatial?.edges.remove(edge.id);
+    removeFeature(cache.edgeFC, cache.edgeFeatMap, edge.id);
+  },
+
+  setEdgeProps(net, cache, { id, to }) {
+    const edge = net.edges.get(id);
+    if (!edge) return;
+    edge.properties = { ...to };
+    const feat = cache.edgeFeatMap.get(id);
+    if (feat) feat.properties = { ...to, id };
+  },
+
+  // Swaps the whole graph, e.g. for an imported network. `to` holds the
+  // nodes and edges maps and is copied, so later edits never reach it.
+  replaceGraph(net, cache, { to }) {
+    net.nodes = new Map([...to.nodes.values()].map((n) => [n.id, { ...n }]));
+    net.edges = new Map([...to.edges.values()].map((e) => [e.id, snapshotEdge(e)]));
+    net.nodeEdgeIndex = new Map();
+    for (const e of net.edges.values()) {
+      for (const nid of e.nodeIds) {
+        if (!net.nodeEdgeIndex.has(nid)) net.nodeEdgeIndex.set(nid, new Set());
+        net.nodeEdgeIndex.get(nid).add(e.id);
+      }
+    }
+    net.spatial = null;
+    Object.assign(cache, buildCaches(net));
+  },
+};
+
+const INVERSE = {
+  addNode:      (op) => ({ ...op, type: "removeNode" }),
+  removeNode:   (op) => ({ ...op, type: "addNode" }),
+  moveNode:     (op) => ({ ...op, from: op.to, to: op.from }),
+  addEdge:      (op) => ({ ...op, type: "removeEdge" }),
+  removeEdge:   (op) => ({ ...op, type: "addEdge" }),
+  setEdgeProps: (op) => ({ ...op, from: op.to, to: op.from }),
+  replaceGraph: (op) => ({ ...op, from: op.to, to: op.from }),
+};
+
+export function applyOps(net, cache, ops) {
+  for (const op of ops) APPLY[op.type](net, cache, op);
+}
+
+export function invertOps(ops) {
+  return ops.map((op) => INVERSE[op.type](op)).reverse();
+}
+
+export const snapshotNode = ({ id, lng, lat, properties }) =>
+  (properties ? { id, lng, lat, properties } : { id, lng, lat });
+export const snapshotEdge = (edge) => ({ ...edge, nodeIds: [...edge.nodeIds] });
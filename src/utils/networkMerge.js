@@ -0,0 +1,142 @@
+import { EDGE_ID_KEY, NODE_IDS_KEY, NODE_ID_KEY, parseNetwork, exportToGeoJSON } from "./networkGraph";
+
+const ID_KEYS = new Set([EDGE_ID_KEY, NODE_IDS_KEY, NODE_ID_KEY]);
+
+export const geometryKey = (geometry) =>
+  JSON.stringify(geometry?.coordinates ?? null, (_, v) => (typeof v === "number" ? Number(v.toFixed(7)) : v));
+
+function featureKey(f) {
+  const p = f.properties ?? {};
+  return f.geometry?.type === "Point" ? `node:${p[NODE_ID_KEY]}` : `edge:${p[EDGE_ID_KEY]}`;
+}
+
+function signature(f) {
+  if (!f) return null;
+  const props = Object.entries(f.properties ?? {})
+    .filter(([k]) => !ID_KEYS.has(k))
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+  return `${geometryKey(f.geometry)}|${JSON.stringify(props)}`;
+}
+
+const byKey = (fc) => new Map(fc.features.map((f) => [featureKey(f), f]));
+
+const idsOf = (f) => {
+  const p = f.properties ?? {};
+  if (f.geometry?.type === "Point") return p[NODE_ID_KEY] ? [String(p[NODE_ID_KEY])] : [];
+  return typeof p[NODE_IDS_KEY] === "string" ? p[NODE_IDS_KEY].split(",") : [];
+};
+
+// Where each node id sits in an exported network.
+function nodePositions(fc) {
+  const out = new Map();
+  for (const f of fc.features) {
+    const coords = f.geometry?.type === "Point" ? [f.geometry.coordinates] : f.geometry?.coordinates ?? [];
+    idsOf(f).forEach((id, i) => {
+      if (coords[i]) out.set(id, coords[i]);
+    });
+  }
+  return out;
+}
+
+const samePosition = (a, b) => !!a && !!b && geometryKey({ coordinates: a }) === geometryKey({ coordinates: b });
+
+/*
+ * Brings a network read from disk into the id space of `base`. Lines the
+ * model rewrote without ids are matched to base lines by geometry, so an
+ * untouched line is not mistaken for a delete plus an add.
+ */
+export function alignToBase(remoteFC, baseFC) {
+  const baseByGeom = new Map();
+  for (const f of baseFC.features) {
+    if (f.geometry?.type !== "Point") baseByGeom.set(geometryKey(f.geometry), f.properties);
+  }
+  const adopted = {
+    ...remoteFC,
+    features: (remoteFC.features ?? []).map((f) => {
+      if (f.geometry?.type === "Point" || f.properties?.[EDGE_ID_KEY]) return f;
+      const match = baseByGeom.get(geometryKey(f.geometry));
+      return match
+        ? { ...f, properties: { ...f.properties, [EDGE_ID_KEY]: match[EDGE_ID_KEY], [NODE_IDS_KEY]: match[NODE_IDS_KEY] } }
+        : f;
+    }),
+  };
+  return exportToGeoJSON(parseNetwork(adopted));
+}
+
+/*
+ * Feature-level three-way merge keyed by stable id. A side "changed" a
+ * feature when it differs from base, including adding or removing it.
+ * One-sided changes are taken automatically; features both sides changed
+ * differently are returned as conflicts for the user to decide.
+ */
+export function threeWayMerge(baseFC, localFC, remoteFC) {
+  const base = byKey(baseFC), local = byKey(localFC), remote = byKey(remoteFC);
+  const keys = new Set([...base.keys(), ...local.keys(), ...remote.keys()]);
+  const resolved = new Map();
+  const conflicts = [];
+  const stats = { local: 0, remote: 0, both: 0 };
+
+  for (const key of keys) {
+    const b = signature(base.get(key)), l = signature(local.get(key)), r = signature(remote.get(key));
+    const localChanged = l !== b, remoteChanged = r !== b;
+    if (localChanged && remoteChanged && l !== r) {
+      conflicts.push({ key, base: base.get(key) ?? null, local: local.get(key) ?? null, remote: remote.get(key) ?? null });
+      continue;
+    }
+    if (localChanged && remoteChanged) stats.both++;
+    else if (localChanged) stats.local++;
+    else if (remoteChanged) stats.remote++;
+    resolved.set(key, localChanged ? local.get(key) : remote.get(key));
+  }
+  const positions = { base: nodePositions(baseFC), local: nodePositions(localFC), remote: nodePositions(remoteFC) };
+  return { resolved, conflicts, stats, positions };
+}
+
+/*
+ * The merged graph as { nodes, edges }. `choices` maps a conflict key to
+ * "local" or "remote"; unlisted ones keep the local version. Edges are
+ * joined through their node ids, and each node is placed once by its own
+ * three-way merge, so an edge taken from one side stays connected to a
+ * node the other side moved. A node both sides moved follows the remote
+ * side only when a conflict through it was resolved that way.
+ */
+export function applyMerge({ resolved, conflicts, positions }, choices = {}) {
+  const features = [...resolved.values()].filter(Boolean);
+  const remoteNodes = new Set();
+  for (const c of conflicts) {
+    const remote = choices[c.key] === "remote";
+    const pick = remote ? c.remote : c.local;
+    if (pick) features.push(pick);
+    if (remote) for (const f of [c.local, c.remote]) if (f) idsOf(f).forEach((id) => remoteNodes.add(id));
+  }
+
+  const { base, local, remote } = positions;
+  const nodes = new Map();
+  const place = (id) => {
+    if (nodes.has(id)) return nodes.get(id);
+    const b = base.get(id), l = local.get(id), r = remote.get(id);
+    const localMoved = !!l && !samePosition(l, b), remoteMoved = !!r && !samePosition(r, b);
+    let at;
+    if (localMoved && remoteMoved) at = remoteNodes.has(id) ? r : l;
+    else if (localMoved) at = l;
+    else if (remoteMoved) at = r;
+    else at = l ?? r ?? b;
+    const node = at ? { id, lng: at[0], lat: at[1] } : null;
+    nodes.set(id, node);
+    return node;
+  };
+
+  const edges = new Map();
+  for (const f of features) {
+    const { [EDGE_ID_KEY]: edgeId, [NODE_IDS_KEY]: _nodeIds, [NODE_ID_KEY]: nodeId, ...properties } = f.properties ?? {};
+    if (f.geometry?.type === "Point") {
+      const node = place(String(nodeId));
+      if (node) node.properties = properties;
+      continue;
+    }
+    const nodeIds = idsOf(f).filter(place);
+    if (edgeId && nodeIds.length >= 2) edges.set(String(edgeId), { id: String(edgeId), nodeIds, properties });
+  }
+  for (const [id, node] of nodes) if (!node) nodes.delete(id);
+  return { nodes, edges };
+}
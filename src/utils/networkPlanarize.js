@@ -0,0 +1,101 @@
+import { newId, snapshotEdge, spatialIndex } from "./networkGraph";
+import { findCrossings } from "./networkValidation";
+
+// Grade-separated edges legitimately pass over or under others.
+export const DEFAULT_PLANARIZE_EXCLUDE = "bridge, tunnel, layer";
+
+const NO_VALUES = new Set(["", "no", "false", "0"]);
+
+// "bridge, footway=crossing" → [{ key: "bridge", value: null }, …]. A rule
+// without a value matches any value other than empty/no/false/0.
+export function parseExcludeRules(text) {
+  return text.split(/[,\n]/).map((s) => s.trim()).filter(Boolean).map((rule) => {
+    const eq = rule.indexOf("=");
+    return eq === -1
+      ? { key: rule, value: null }
+      : { key: rule.slice(0, eq).trim(), value: rule.slice(eq + 1).trim() };
+  });
+}
+
+export function matchesRule(properties, rules) {
+  return rules.some(({ key, value }) => {
+    const v = properties?.[key];
+    if (v == null) return false;
+    return value == null ? !NO_VALUES.has(String(v).toLowerCase()) : String(v) === value;
+  });
+}
+
+const inRegions = ([x, y], regions) =>
+  regions.some(([w, s, e, n]) => x >= w && x <= e && y >= s && y <= n);
+
+// Splits an edge's node list at cut nodes, given as { idx, t, nodeId } with
+// `idx` the segment and `t` the position along it.
+function splitAtCuts(nodeIds, cuts) {
+  const sorted = [...cuts].sort((p, q) => p.idx - q.idx || p.t - q.t);
+  const pieces = [];
+  let cur = [nodeIds[0]];
+  let c = 0;
+  for (let i = 0; i < nodeIds.length - 1; i++) {
+    for (; c < sorted.length && sorted[c].idx === i; c++) {
+      cur.push(sorted[c].nodeId);
+      pieces.push(cur);
+      cur = [sorted[c].nodeId];
+    }
+    cur.push(nodeIds[i + 1]);
+  }
+  pieces.push(cur);
+  return pieces;
+}
+
+/*
+ * Nodes every crossing of two edges inside `regions` ([w, s, e, n] boxes):
+ * a new node goes at the crossing and both edges are split there, like
+ * splitEdgeOps. Edges matching an `exclude` rule are left alone. Returns
+ * the crossings for a preview, the ops that apply them and their counts.
+ */
+export function planarize(net, { regions, exclude = [] }) {
+  const { nodes, edges } = net;
+  const index = spatialIndex(net);
+  const candidates = new Set();
+  for (const region of regions) for (const id of index.edges.search(region)) candidates.add(id);
+
+  const edgeFilter = (edge) => candidates.has(edge.id) && !matchesRule(edge.properties, exclude);
+  const crossings = findCrossings(net, edgeFilter).filter((c) => inRegions(c.point, regions));
+
+  // Crossings at the same spot (three edges through one point) share a node.
+  const byPoint = new Map();
+  const cutsByEdge = new Map();
+  const addCut = (edgeId, idx, point, nodeId) => {
+    const ids = edges.get(edgeId).nodeIds;
+    const a = nodes.get(ids[idx]), b = nodes.get(ids[idx + 1]);
+    const len = Math.hypot(b.lng - a.lng, b.lat - a.lat);
+    const t = len ? Math.hypot(point[0] - a.lng, point[1] - a.lat) / len : 0;
+    if (!cutsByEdge.has(edgeId)) cutsByEdge.set(edgeId, []);
+    const cuts = cutsByEdge.get(edgeId);
+    if (!cuts.some((c) => c.nodeId === nodeId)) cuts.push({ idx, t, nodeId });
+  };
+
+  for (const c of crossings) {
+    const key = `${c.point[0].toFixed(7)},${c.point[1].toFixed(7)}`;
+    if (!byPoint.has(key)) byPoint.set(key, { id: newId("n"), lng: c.point[0], lat: c.point[1] });
+    const node = byPoint.get(key);
+    addCut(c.a.edgeId, c.a.idx, c.point, node.id);
+    addCut(c.b.edgeId, c.b.idx, c.point, node.id);
+  }
+
+  const ops = [...byPoint.values()].map((node) => ({ type: "addNode", node }));
+  for (const [edgeId, cuts] of cutsByEdge) {
+    const edge = edges.get(edgeId);
+    ops.push({ type: "removeEdge", edge: snapshotEdge(edge) });
+    for (const nodeIds of splitAtCuts(edge.nodeIds, cuts)) {
+      ops.push({ type: "addEdge", edge: { id: newId("e"), nodeIds, properties: { ...edge.properties } } });
+    }
+  }
+
+  return {
+    crossings: crossings.map((c) => ({ point: c.point, edgeIds: [c.a.edgeId, c.b.edgeId] })),
+    ops,
+    nodeCount: byPoint.size,
+    edgeCount: cutsByEdge.size,
+  };
+}
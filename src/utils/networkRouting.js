@@ -0,0 +1,160 @@
+import { distanceMeters } from "./networkGraph";
+import { connectedComponents } from "./networkValidation";
+
+// Vertex adjacency with segment lengths; every vertex of an edge is a
+// routable node, not only the endpoints.
+function buildAdjacency({ nodes, edges }) {
+  const adj = new Map();
+  const link = (a, b, edgeId, w) => {
+    if (!adj.has(a)) adj.set(a, []);
+    adj.get(a).push({ to: b, edgeId, w });
+  };
+  for (const edge of edges.values()) {
+    for (let i = 0; i < edge.nodeIds.length - 1; i++) {
+      const na = nodes.get(edge.nodeIds[i]);
+      const nb = nodes.get(edge.nodeIds[i + 1]);
+      if (!na || !nb || na === nb) continue;
+      const w = distanceMeters([na.lng, na.lat], [nb.lng, nb.lat]);
+      link(na.id, nb.id, edge.id, w);
+      link(nb.id, na.id, edge.id, w);
+    }
+  }
+  return adj;
+}
+
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const p = (i - 1) >> 1;
+    if (heap[p][0] <= heap[i][0]) break;
+    [heap[p], heap[i]] = [heap[i], heap[p]];
+    i = p;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+      if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+      if (m === i) break;
+      [heap[m], heap[i]] = [heap[i], heap[m]];
+      i = m;
+    }
+  }
+  return top;
+}
+
+/*
+ * Dijkstra from `sourceId` over the walkable graph. Stops early once
+ * `target` is settled or distances pass `maxDistance` (metres). `prev` maps
+ * each reached node to `{ from, edgeId }` for path reconstruction.
+ */
+export function dijkstra(net, sourceId, { target = null, maxDistance = Infinity } = {}) {
+  const adj  = buildAdjacency(net);
+  const dist = new Map([[sourceId, 0]]);
+  const prev = new Map();
+  const done = new Set();
+  const heap = [[0, sourceId]];
+
+  while (heap.length) {
+    const [d, id] = heapPop(heap);
+    if (done.has(id)) continue;
+    done.add(id);
+    if (id === target) break;
+    for (const { to, edgeId, w } of adj.get(id) ?? []) {
+      const nd = d + w;
+      if (nd > maxDistance || nd >= (dist.get(to) ?? Infinity)) continue;
+      dist.set(to, nd);
+      prev.set(to, { from: id, edgeId });
+      heapPush(heap, [nd, to]);
+    }
+  }
+  return { dist, prev };
+}
+
+/*
+ * Shortest path between two nodes. Returns `{ found: true, length, nodeIds,
+ * edgeIds, coordinates }`, or `{ found: false, components }` with the edge
+ * ids of the component around each end so the gap can be shown.
+ */
+export function shortestPath(net, fromId, toId) {
+  const { nodes } = net;
+  if (fromId === toId) {
+    const n = nodes.get(fromId);
+    return { found: true, length: 0, nodeIds: [fromId], edgeIds: [], coordinates: n ? [[n.lng, n.lat]] : [] };
+  }
+
+  const { dist, prev } = dijkstra(net, fromId, { target: toId });
+  if (!dist.has(toId)) {
+    const comps = connectedComponents(net);
+    const around = (id) => comps.find((c) => c.nodeIds.has(id))?.edgeIds ?? [];
+    return { found: false, components: { from: around(fromId), to: around(toId) } };
+  }
+
+  const nodeIds = [toId];
+  const edgeIds = [];
+  for (let id = toId; id !== fromId; ) {
+    const step = prev.get(id);
+    if (edgeIds[edgeIds.length - 1] !== step.edgeId) edgeIds.push(step.edgeId);
+    id = step.from;
+    nodeIds.push(id);
+  }
+  nodeIds.reverse();
+  edgeIds.reverse();
+
+  return {
+    found:       true,
+    length:      dist.get(toId),
+    nodeIds,
+    edgeIds,
+    coordinates: nodeIds.map((id) => nodes.get(id)).map((n) => [n.lng, n.lat]),
+  };
+}
+
+const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+
+/*
+ * Part of the network reachable within `budget` metres of `startId`.
+ * Segments the budget runs out on are cut at the exact point, from either
+ * side, so the walkshed edge is not rounded to whole segments. Returns the
+ * reached pieces as `[a, b]` coordinate pairs plus node and length totals.
+ */
+export function walkshed(net, startId, budget) {
+  const { nodes, edges } = net;
+  const { dist } = dijkstra(net, startId, { maxDistance: budget });
+  const segments = [];
+  let length = 0;
+
+  for (const edge of edges.values()) {
+    for (let i = 0; i < edge.nodeIds.length - 1; i++) {
+      const na = nodes.get(edge.nodeIds[i]);
+      const nb = nodes.get(edge.nodeIds[i + 1]);
+      if (!na || !nb || na === nb) continue;
+      const da = dist.get(na.id), db = dist.get(nb.id);
+      if (da === undefined && db === undefined) continue;
+
+      const a = [na.lng, na.lat], b = [nb.lng, nb.lat];
+      const w = distanceMeters(a, b);
+      const fromA = da === undefined ? 0 : Math.min(w, budget - da);
+      const fromB = db === undefined ? 0 : Math.min(w, budget - db);
+      if (w === 0 || fromA + fromB >= w) {
+        segments.push([a, b]);
+        length += w;
+        continue;
+      }
+      if (fromA > 0) segments.push([a, lerp(a, b, fromA / w)]);
+      if (fromB > 0) segments.push([b, lerp(b, a, fromB / w)]);
+      length += fromA + fromB;
+    }
+  }
+
+  return { segments, nodeCount: dist.size, length };
+}
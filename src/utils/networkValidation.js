@@ -0,0 +1,210 @@
+import { edgeCoords, edgeLength } from "./networkGraph";
+
+export const ISSUE_LABELS = {
+  dangling:   "Dangling endpoint",
+  zeroLength: "Zero-length edge",
+  duplicate:  "Duplicate edge",
+  selfLoop:   "Self-loop",
+  crossing:   "Crossing without node",
+  component:  "Small component",
+};
+
+export const DEFAULT_CHECK_OPTIONS = {
+  zeroLengthM:        0.05,
+  minComponentLength: 50,
+};
+
+const GRID_DEG = 0.0005;
+const EPS      = 1e-12;
+
+function bboxOf(coords) {
+  let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+  for (const [x, y] of coords) {
+    if (x < w) w = x; if (x > e) e = x;
+    if (y < s) s = y; if (y > n) n = y;
+  }
+  return [w, s, e, n];
+}
+
+function lineIssue(type, edges, nodes, detail) {
+  const lines = edges.map((e) => edgeCoords(e, nodes)).filter((c) => c.length >= 2);
+  const all = lines.flat();
+  return {
+    id:      `${type}:${edges.map((e) => e.id).join("+")}`,
+    type,
+    detail,
+    edgeIds: edges.map((e) => e.id),
+    nodeIds: [],
+    bbox:    bboxOf(all),
+    geometry: lines.length === 1
+      ? { type: "LineString", coordinates: lines[0] }
+      : { type: "MultiLineString", coordinates: lines },
+  };
+}
+
+function pointIssue(type, id, [lng, lat], detail, { edgeIds = [], nodeIds = [] } = {}) {
+  return {
+    id: `${type}:${id}`,
+    type,
+    detail,
+    edgeIds,
+    nodeIds,
+    bbox:     [lng, lat, lng, lat],
+    geometry: { type: "Point", coordinates: [lng, lat] },
+  };
+}
+
+// Intersection point of segments ab and cd, strictly inside both.
+function segmentCrossing(a, b, c, d) {
+  const rx = b[0] - a[0], ry = b[1] - a[1];
+  const sx = d[0] - c[0], sy = d[1] - c[1];
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) < EPS) return null;
+  const qx = c[0] - a[0], qy = c[1] - a[1];
+  const t = (qx * sy - qy * sx) / denom;
+  const u = (qx * ry - qy * rx) / denom;
+  if (t <= 1e-9 || t >= 1 - 1e-9 || u <= 1e-9 || u >= 1 - 1e-9) return null;
+  return [a[0] + t * rx, a[1] + t * ry];
+}
+
+/*
+ * Segment–segment crossings between different edges that do not share a
+ * node at that point. Segments are bucketed on a coarse lng/lat grid so
+ * only nearby pairs are tested. Returns one entry per crossing point.
+ */
+export function findCrossings({ nodes, edges }, edgeFilter = null) {
+  const grid = new Map();
+  const segs = [];
+
+  for (const edge of edges.values()) {
+    if (edgeFilter && !edgeFilter(edge)) continue;
+    for (let i = 0; i < edge.nodeIds.length - 1; i++) {
+      const na = nodes.get(edge.nodeIds[i]);
+      const nb = nodes.get(edge.nodeIds[i + 1]);
+      if (!na || !nb || na === nb) continue;
+      const seg = { edge, i, a: [na.lng, na.lat], b: [nb.lng, nb.lat], na: na.id, nb: nb.id, idx: segs.length };
+      segs.push(seg);
+      const [w, s, e, n] = bboxOf([seg.a, seg.b]);
+      for (let gx = Math.floor(w / GRID_DEG); gx <= Math.floor(e / GRID_DEG); gx++) {
+        for (let gy = Math.floor(s / GRID_DEG); gy <= Math.floor(n / GRID_DEG); gy++) {
+          const key = `${gx}:${gy}`;
+          if (!grid.has(key)) grid.set(key, []);
+          grid.get(key).push(seg);
+        }
+      }
+    }
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const bucket of grid.values()) {
+    for (let p = 0; p < bucket.length; p++) {
+      for (let q = p + 1; q < bucket.length; q++) {
+        const s1 = bucket[p], s2 = bucket[q];
+        if (s1.edge === s2.edge) continue;
+        if (s1.na === s2.na || s1.na === s2.nb || s1.nb === s2.na || s1.nb === s2.nb) continue;
+        const key = s1.idx < s2.idx ? `${s1.idx}|${s2.idx}` : `${s2.idx}|${s1.idx}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const pt = segmentCrossing(s1.a, s1.b, s2.a, s2.b);
+        if (pt) out.push({ point: pt, a: { edgeId: s1.edge.id, idx: s1.i }, b: { edgeId: s2.edge.id, idx: s2.i } });
+      }
+    }
+  }
+  return out;
+}
+
+export function connectedComponents({ nodes, edges, nodeEdgeIndex }) {
+  const seen = new Set();
+  const components = [];
+  for (const start of edges.values()) {
+    if (seen.has(start.id)) continue;
+    const comp = { edgeIds: [], nodeIds: new Set() };
+    const stack = [start.id];
+    seen.add(start.id);
+    while (stack.length) {
+      const edge = edges.get(stack.pop());
+      comp.edgeIds.push(edge.id);
+      for (const nid of edge.nodeIds) {
+        if (!nodes.has(nid)) continue;
+        comp.nodeIds.add(nid);
+        for (const next of nodeEdgeIndex.get(nid) ?? []) {
+          if (!seen.has(next) && edges.has(next)) {
+            seen.add(next);
+            stack.push(next);
+          }
+        }
+      }
+    }
+    components.push(comp);
+  }
+  return components;
+}
+
+export function validateNetwork(net, options = {}) {
+  const { zeroLengthM, minComponentLength } = { ...DEFAULT_CHECK_OPTIONS, ...options };
+  const { nodes, edges } = net;
+  const issues = [];
+
+  const degree = new Map();
+  const bump = (nid, by) => degree.set(nid, (degree.get(nid) ?? 0) + by);
+  const byKey = new Map();
+  const lengths = new Map();
+
+  for (const edge of edges.values()) {
+    const ids = edge.nodeIds;
+    bump(ids[0], 1);
+    bump(ids[ids.length - 1], 1);
+    for (let i = 1; i < ids.length - 1; i++) bump(ids[i], 2);
+
+    const len = edgeLength(edge, nodes);
+    lengths.set(edge.id, len);
+    if (len < zeroLengthM) {
+      issues.push(lineIssue("zeroLength", [edge], nodes, `${len.toFixed(2)} m`));
+    }
+    if (ids.length > 2 && ids[0] === ids[ids.length - 1]) {
+      issues.push(lineIssue("selfLoop", [edge], nodes, `${ids.length - 1} segments`));
+    }
+
+    const fwd = ids.join(",");
+    const rev = [...ids].reverse().join(",");
+    const key = fwd < rev ? fwd : rev;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(edge);
+  }
+
+  for (const group of byKey.values()) {
+    if (group.length > 1) {
+      issues.push(lineIssue("duplicate", group, nodes, `${group.length} copies`));
+    }
+  }
+
+  for (const [nid, d] of degree) {
+    if (d !== 1) continue;
+    const n = nodes.get(nid);
+    if (!n) continue;
+    const edgeIds = [...(net.nodeEdgeIndex.get(nid) ?? [])];
+    issues.push(pointIssue("dangling", nid, [n.lng, n.lat], "Endpoint with no other connection", { nodeIds: [nid], edgeIds }));
+  }
+
+  for (const c of findCrossings(net)) {
+    issues.push(pointIssue(
+      "crossing",
+      `${c.a.edgeId}+${c.b.edgeId}@${c.a.idx}:${c.b.idx}`,
+      c.point,
+      "Edges cross without a shared node",
+      { edgeIds: [c.a.edgeId, c.b.edgeId] },
+    ));
+  }
+
+  for (const comp of connectedComponents(net)) {
+    const total = comp.edgeIds.reduce((sum, id) => sum + (lengths.get(id) ?? 0), 0);
+    if (total >= minComponentLength) continue;
+    const compEdges = comp.edgeIds.map((id) => edges.get(id));
+    const issue = lineIssue("component", compEdges, nodes, `${compEdges.length} edge${compEdges.length !== 1 ? "s" : ""} · ${total.toFixed(1)} m`);
+    issue.nodeIds = [...comp.nodeIds];
+    issues.push(issue);
+  }
+
+  return issues;
+}
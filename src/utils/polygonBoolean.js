@@ -0,0 +1,167 @@
+import { pointInRing, ptKey, ringAreaM2, ringWithin, segmentHits, signedArea } from "./geometry";
+import { polygonParts } from "./polygonEdit";
+import { MIN_RING_AREA_M2 } from "./polygonValidity";
+
+const EPS = 1e-9;
+
+// How far beside a piece (in degrees, a few mm) its two sides are sampled.
+const SIDE_OFFSET = 5e-8;
+
+// Even-odd over every ring of the feature, so holes and parts both count.
+function insideFeature([x, y], feature) {
+  let inside = false;
+  for (const poly of polygonParts(feature)) {
+    for (const ring of poly) if (pointInRing(x, y, ring)) inside = !inside;
+  }
+  return inside;
+}
+
+function featureSegments(feature) {
+  const out = [];
+  for (const poly of polygonParts(feature)) {
+    for (const ring of poly) {
+      for (let i = 0; i < ring.length - 1; i++) out.push({ a: ring[i], b: ring[i + 1], cut: false });
+    }
+  }
+  return out;
+}
+
+// Cuts every segment where it crosses or touches another and merges
+// duplicates, so pieces only meet at their ends. A piece is `cut` when it
+// came from a split line.
+function nodeSegments(segs) {
+  const cuts = segs.map(() => []);
+  for (let i = 0; i < segs.length; i++) {
+    for (let j = i + 1; j < segs.length; j++) {
+      for (const { t, u, point } of segmentHits(segs[i].a, segs[i].b, segs[j].a, segs[j].b)) {
+        if (t > EPS && t < 1 - EPS) cuts[i].push({ t, point });
+        if (u > EPS && u < 1 - EPS) cuts[j].push({ t: u, point });
+      }
+    }
+  }
+
+  // One coordinate per key, so rings traced later close exactly.
+  const coords = new Map();
+  const at = (pt) => {
+    const k = ptKey(pt);
+    if (!coords.has(k)) coords.set(k, pt);
+    return coords.get(k);
+  };
+
+  const pieces = new Map();
+  segs.forEach((seg, i) => {
+    const pts = [seg.a, ...cuts[i].sort((p, q) => p.t - q.t).map((c) => c.point), seg.b].map(at);
+    for (let k = 0; k < pts.length - 1; k++) {
+      const ka = ptKey(pts[k]), kb = ptKey(pts[k + 1]);
+      if (ka === kb) continue;
+      const key = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+      const prev = pieces.get(key);
+      if (prev) prev.cut ||= seg.cut;
+      else pieces.set(key, { a: pts[k], b: pts[k + 1], cut: seg.cut });
+    }
+  });
+  return [...pieces.values()];
+}
+
+// Drops split-line pieces that end inside the polygon without reaching
+// another line or the boundary; they would leave spikes.
+function pruneDangling(walls, boundary) {
+  let kept = walls;
+  for (;;) {
+    const degree = new Map();
+    for (const [a, b] of [...boundary, ...kept.flatMap((p) => [[p.a, p.b]])]) {
+      for (const k of [ptKey(a), ptKey(b)]) degree.set(k, (degree.get(k) ?? 0) + 1);
+    }
+    const next = kept.filter((p) => degree.get(ptKey(p.a)) > 1 && degree.get(ptKey(p.b)) > 1);
+    if (next.length === kept.length) return kept;
+    kept = next;
+  }
+}
+
+/*
+ * Outline of the area where `inRegion` holds, from noded pieces: each piece
+ * is kept, pointing so the area is on its left, when its two sides differ.
+ * `cut` pieces with the area on both sides stay as walls between polygons.
+ * Faces are traced by always taking the next edge clockwise, which gives
+ * counter-clockwise outers and clockwise holes. Returns [[outer, ...holes]].
+ */
+function traceRegion(pieces, inRegion) {
+  const boundary = [];
+  const walls = [];
+  for (const p of pieces) {
+    const dx = p.b[0] - p.a[0], dy = p.b[1] - p.a[1];
+    const len = Math.hypot(dx, dy);
+    const off = Math.min(SIDE_OFFSET, len / 4) / len;
+    const mx = (p.a[0] + p.b[0]) / 2, my = (p.a[1] + p.b[1]) / 2;
+    const left  = inRegion([mx - dy * off, my + dx * off]);
+    const right = inRegion([mx + dy * off, my - dx * off]);
+    if (left && !right) boundary.push([p.a, p.b]);
+    else if (right && !left) boundary.push([p.b, p.a]);
+    else if (left && p.cut) walls.push(p);
+  }
+  const half = [...boundary, ...pruneDangling(walls, boundary).flatMap((p) => [[p.a, p.b], [p.b, p.a]])];
+
+  const outgoing = new Map();
+  half.forEach(([a, b], idx) => {
+    const k = ptKey(a);
+    if (!outgoing.has(k)) outgoing.set(k, []);
+    outgoing.get(k).push({ idx, angle: Math.atan2(b[1] - a[1], b[0] - a[0]) });
+  });
+
+  const used = new Array(half.length).fill(false);
+  const rings = [];
+  for (let start = 0; start < half.length; start++) {
+    if (used[start]) continue;
+    const ring = [];
+    let e = start;
+    while (e !== -1 && !used[e]) {
+      used[e] = true;
+      const [a, b] = half[e];
+      ring.push(a);
+      const back = Math.atan2(a[1] - b[1], a[0] - b[0]);
+      let best = -1, bestTurn = Infinity;
+      for (const { idx, angle } of outgoing.get(ptKey(b)) ?? []) {
+        let turn = back - angle;
+        if (turn <= 1e-12) turn += 2 * Math.PI;
+        if (turn < bestTurn) { bestTurn = turn; best = idx; }
+      }
+      e = best;
+    }
+    if (e !== start || ring.length < 3) continue;
+    const closed = [...ring, ring[0]];
+    if (ringAreaM2(closed) >= MIN_RING_AREA_M2) rings.push(closed);
+  }
+
+  const outers = rings.filter((r) => signedArea(r) > 0);
+  const parts = outers.map((r) => [r]);
+  for (const hole of rings.filter((r) => signedArea(r) < 0)) {
+    let target = -1;
+    outers.forEach((outer, i) => {
+      if (!ringWithin(hole, outer)) return;
+      if (target === -1 || ringAreaM2(outer) < ringAreaM2(outers[target])) target = i;
+    });
+    if (target !== -1) parts[target].push(hole);
+  }
+  return parts;
+}
+
+// Union of Polygon / MultiPolygon features, as polygon parts.
+export function unionFeatures(features) {
+  const pieces = nodeSegments(features.flatMap(featureSegments));
+  return traceRegion(pieces, (pt) => features.some((f) => insideFeature(pt, f)));
+}
+
+// `feature` minus the closed `ring`, as polygon parts.
+export function subtractRing(feature, ring) {
+  const cutter = { type: "Feature", geometry: { type: "Polygon", coordinates: [ring] } };
+  const pieces = nodeSegments([...featureSegments(feature), ...featureSegments(cutter)]);
+  return traceRegion(pieces, (pt) => insideFeature(pt, feature) && !insideFeature(pt, cutter));
+}
+
+// The separate polygons `feature` falls into when cut along the open
+// polyline `line`; a single polygon when the line does not cut across.
+export function splitByLine(feature, line) {
+  const cuts = line.slice(1).map((b, i) => ({ a: line[i], b, cut: true }));
+  const pieces = nodeSegments([...featureSegments(feature), ...cuts]);
+  return traceRegion(pieces, (pt) => insideFeature(pt, feature));
+}
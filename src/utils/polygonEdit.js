@@ -0,0 +1,51 @@
+import { pointInRing } from "./geometry";
+
+// Polygon parts of a suggestion, each [outer, ...holes]; a Polygon is one
+// part. Rings are closed [[lng, lat], …].
+export function polygonParts(feature) {
+  const g = feature?.geometry;
+  if (g?.type === "Polygon")      return [g.coordinates];
+  if (g?.type === "MultiPolygon") return g.coordinates;
+  return [];
+}
+
+// Back to a feature: a Polygon for one part, a MultiPolygon otherwise.
+export function withParts(feature, parts) {
+  const geometry = parts.length === 1
+    ? { type: "Polygon", coordinates: parts[0] }
+    : { type: "MultiPolygon", coordinates: parts };
+  return { ...feature, geometry };
+}
+
+export function withRing(feature, partIdx, ringIdx, ring) {
+  const parts = polygonParts(feature).map((poly, pi) =>
+    pi === partIdx ? poly.map((r, ri) => (ri === ringIdx ? ring : r)) : poly
+  );
+  return withParts(feature, parts);
+}
+
+// Adds `ring` as a hole of the part whose outer ring contains it. Null when
+// it lies in no part.
+export function addHole(feature, ring) {
+  const parts = polygonParts(feature);
+  const target = parts.findIndex((poly) => ring.every(([x, y]) => pointInRing(x, y, poly[0])));
+  if (target === -1) return null;
+  return withParts(feature, parts.map((poly, pi) => (pi === target ? [...poly, ring] : poly)));
+}
+
+export function addPart(feature, ring) {
+  return withParts(feature, [...polygonParts(feature), [ring]]);
+}
+
+// Removes a hole, or a whole part when `ringIdx` is its outer ring. Null
+// when that would leave no polygon.
+export function removeRing(feature, partIdx, ringIdx) {
+  const parts = polygonParts(feature);
+  if (ringIdx === 0) {
+    if (parts.length < 2) return null;
+    return withParts(feature, parts.filter((_, pi) => pi !== partIdx));
+  }
+  return withParts(feature, parts.map((poly, pi) =>
+    pi === partIdx ? poly.filter((_, ri) => ri !== ringIdx) : poly
+  ));
+}
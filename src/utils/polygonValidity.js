@@ -0,0 +1,197 @@
+import { convexHull, pointInRing, ptKey, ringAreaM2, ringWithin, segmentHits, signedArea } from "./geometry";
+import { polygonParts, withParts } from "./polygonEdit";
+
+export const VALIDITY_LABELS = {
+  selfIntersection: "Self-intersection",
+  duplicateVertex:  "Duplicate vertex",
+  tinyArea:         "Near-zero area",
+  holeOutside:      "Hole outside outline",
+  orientation:      "Ring orientation",
+};
+
+// Wrong winding is harmless to draw and is fixed on submit (rewindFeature);
+// everything else keeps a suggestion out of training.
+export const BLOCKING_ISSUES = new Set(["selfIntersection", "duplicateVertex", "tinyArea", "holeOutside"]);
+
+export const MIN_RING_AREA_M2 = 1;
+
+const EPS = 1e-9;
+
+const openRing = (ring) =>
+  ring.length > 1 && ptKey(ring[0]) === ptKey(ring[ring.length - 1]) ? ring.slice(0, -1) : ring;
+
+const closeRing = (open) => [...open, [...open[0]]];
+
+// Crossings and touches between segments of `ring` (or between `ring` and
+// `other`), leaving out points that are a vertex of both segments: shared
+// corners, and duplicates that are reported on their own.
+function ringHits(ring, other = null) {
+  const a = openRing(ring);
+  const b = other ? openRing(other) : a;
+  const out = [];
+  for (let i = 0; i < a.length; i++) {
+    const a0 = a[i], a1 = a[(i + 1) % a.length];
+    for (let j = other ? 0 : i + 1; j < b.length; j++) {
+      const b0 = b[j], b1 = b[(j + 1) % b.length];
+      for (const hit of segmentHits(a0, a1, b0, b1)) {
+        const k = ptKey(hit.point);
+        const endA = k === ptKey(a0) || k === ptKey(a1);
+        const endB = k === ptKey(b0) || k === ptKey(b1);
+        if (!(endA && endB)) out.push({ ...hit, i, j });
+      }
+    }
+  }
+  return out;
+}
+
+function issue(type, part, ring, point, detail) {
+  return { type, part, ring, point, detail };
+}
+
+function ringIssues(ring, part, ringIdx, outer) {
+  const open = openRing(ring);
+  const where = ringIdx === 0 ? "Outline" : `Hole ${ringIdx}`;
+  const out = [];
+
+  const seen = new Set(), reported = new Set();
+  for (const pt of open) {
+    const k = ptKey(pt);
+    if (seen.has(k) && !reported.has(k)) {
+      reported.add(k);
+      out.push(issue("duplicateVertex", part, ringIdx, pt, `${where} visits a point twice`));
+    }
+    seen.add(k);
+  }
+
+  if (seen.size < 3) {
+    out.push(issue("tinyArea", part, ringIdx, open[0] ?? ring[0], `${where} has no area`));
+    return out;
+  }
+
+  const crossings = new Set();
+  for (const { point } of ringHits(ring)) {
+    const k = ptKey(point);
+    if (crossings.has(k)) continue;
+    crossings.add(k);
+    out.push(issue("selfIntersection", part, ringIdx, point, `${where} crosses itself`));
+  }
+
+  // The lobes of a crossed ring cancel out, so only a simple ring's area
+  // says anything.
+  if (crossings.size === 0 && ringAreaM2(ring) < MIN_RING_AREA_M2) {
+    out.push(issue("tinyArea", part, ringIdx, open[0], `${where} has no area`));
+    return out;
+  }
+
+  if (outer) {
+    const hit = ringHits(ring, outer)[0];
+    if (hit) out.push(issue("selfIntersection", part, ringIdx, hit.point, `${where} crosses the outline`));
+    else if (!open.every(([x, y]) => pointInRing(x, y, outer))) {
+      out.push(issue("holeOutside", part, ringIdx, open[0], `${where} is not inside the outline`));
+    }
+  }
+
+  const ccw = signedArea(open) > 0;
+  if (crossings.size === 0 && ccw !== (ringIdx === 0)) {
+    out.push(issue("orientation", part, ringIdx, open[0],
+      ringIdx === 0 ? "Outline runs clockwise" : `${where} runs counter-clockwise`));
+  }
+  return out;
+}
+
+/*
+ * Validity problems of a Polygon / MultiPolygon suggestion, one entry per
+ * problem as { type, part, ring, point, detail } with `point` the spot to
+ * mark on the map. Outlines should run counter-clockwise and holes
+ * clockwise (RFC 7946).
+ */
+export function validateFeature(feature) {
+  const out = [];
+  polygonParts(feature).forEach((poly, part) => poly.forEach((ring, ringIdx) => {
+    out.push(...ringIssues(ring, part, ringIdx, ringIdx > 0 ? poly[0] : null));
+  }));
+  return out;
+}
+
+// For the drawing preview: does the ring, closed back to its start, cross
+// itself?
+export function ringSelfIntersects(ring) {
+  const open = openRing(ring);
+  return open.length >= 3 && ringHits(open).length > 0;
+}
+
+export const isBlocking = (issues) => issues.some((i) => BLOCKING_ISSUES.has(i.type));
+
+// Ring with every crossing and touch inserted as a vertex.
+function nodeRing(ring) {
+  const open = openRing(ring);
+  const cuts = open.map(() => []);
+  for (const { t, u, point, i, j } of ringHits(ring)) {
+    if (t > EPS && t < 1 - EPS) cuts[i].push({ t, point });
+    if (u > EPS && u < 1 - EPS) cuts[j].push({ t: u, point });
+  }
+  return open.flatMap((pt, i) => [pt, ...cuts[i].sort((p, q) => p.t - q.t).map((c) => c.point)]);
+}
+
+// Splits a noded ring into simple closed loops wherever it revisits a
+// point; a figure eight gives two. Loops without area are dropped.
+function splitLoops(noded) {
+  const stack = [];
+  const at = new Map();
+  const loops = [];
+  for (const pt of noded) {
+    const k = ptKey(pt);
+    if (!at.has(k)) {
+      at.set(k, stack.length);
+      stack.push(pt);
+      continue;
+    }
+    const loop = stack.splice(at.get(k));
+    for (const p of loop) at.delete(ptKey(p));
+    loops.push(loop);
+    at.set(k, stack.length);
+    stack.push(pt);
+  }
+  loops.push(stack);
+  return loops
+    .filter((loop) => new Set(loop.map(ptKey)).size >= 3)
+    .map(closeRing)
+    .filter((loop) => ringAreaM2(loop) >= MIN_RING_AREA_M2);
+}
+
+// Loops inside another loop of the same ring add nothing to its area.
+const outermost = (loops) => loops.filter((l, i) => !loops.some((o, j) => j !== i && ringWithin(l, o)));
+
+const wound = (ring, ccw) => ((signedArea(ring) > 0) === ccw ? ring : [...ring].reverse());
+
+export function rewindFeature(feature) {
+  const parts = polygonParts(feature);
+  if (!parts.length) return feature;
+  return withParts(feature, parts.map((poly) => poly.map((ring, ri) => wound(ring, ri === 0))));
+}
+
+/*
+ * A valid version of `feature`: duplicate vertices and zero-area rings are
+ * dropped, self-intersecting rings are split into simple loops (an outline
+ * into separate parts), holes that leave their outline are removed and
+ * every ring is rewound. Falls back to the convex hull when that is still
+ * not enough, and returns null when nothing with area is left.
+ */
+export function repairFeature(feature) {
+  const parts = [];
+  for (const poly of polygonParts(feature)) {
+    const outers = outermost(splitLoops(nodeRing(poly[0])));
+    const holes = outermost(poly.slice(1).flatMap((ring) => splitLoops(nodeRing(ring))));
+    for (const outer of outers) {
+      const inside = holes.filter((h) => ringWithin(h, outer) && ringHits(h, outer).length === 0);
+      parts.push([outer, ...inside].map((ring, ri) => wound(ring, ri === 0)));
+    }
+  }
+  if (!parts.length) return null;
+
+  const repaired = withParts(feature, parts);
+  if (!isBlocking(validateFeature(repaired))) return repaired;
+
+  const hull = convexHull(parts.flatMap((poly) => openRing(poly[0])));
+  return hull ? withParts(feature, [[wound(hull, true)]]) : null;
+}
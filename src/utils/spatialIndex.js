@@ -0,0 +1,128 @@
+import { geometryBBox } from "./geometry";
+
+const DEFAULT_CELL_DEG = 0.0005;
+// Anything spanning more cells than this (a stray far-off vertex, a
+// city-wide line) is kept in a plain list and checked on every search.
+const MAX_CELLS = 1024;
+
+/*
+ * Uniform lng/lat grid from ids to bboxes ([w, s, e, n]). Unlike a packed
+ * R-tree it updates in place cheaply, which the editor needs since geometry
+ * changes on every drag. Cells are roughly 50 m, about a sidewalk segment.
+ */
+export function createGridIndex(cellDeg = DEFAULT_CELL_DEG) {
+  const cells = new Map();
+  const boxes = new Map();
+  const oversized = new Set();
+
+  const cellRange = ([w, s, e, n]) => [
+    Math.floor(w / cellDeg), Math.floor(s / cellDeg), Math.floor(e / cellDeg), Math.floor(n / cellDeg),
+  ];
+  const isOversized = (box) => {
+    const [x0, y0, x1, y1] = cellRange(box);
+    return (x1 - x0 + 1) * (y1 - y0 + 1) > MAX_CELLS;
+  };
+
+  const eachCell = (box, fn) => {
+    const [x0, y0, x1, y1] = cellRange(box);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) fn(`${x}:${y}`);
+    }
+  };
+
+  const remove = (id) => {
+    const box = boxes.get(id);
+    if (!box) return;
+    boxes.delete(id);
+    if (oversized.delete(id)) return;
+    eachCell(box, (key) => {
+      const cell = cells.get(key);
+      if (!cell) return;
+      cell.delete(id);
+      if (cell.size === 0) cells.delete(key);
+    });
+  };
+
+  const insert = (id, box) => {
+    if (!box) return;
+    if (boxes.has(id)) remove(id);
+    boxes.set(id, box);
+    if (isOversized(box)) {
+      oversized.add(id);
+      return;
+    }
+    eachCell(box, (key) => {
+      if (!cells.has(key)) cells.set(key, new Set());
+      cells.get(key).add(id);
+    });
+  };
+
+  // Ids whose bbox intersects `box`.
+  const search = (box) => {
+    const [w, s, e, n] = box;
+    const out = new Set();
+    const test = (id) => {
+      const b = boxes.get(id);
+      if (b[0] <= e && b[2] >= w && b[1] <= n && b[3] >= s) out.add(id);
+    };
+    oversized.forEach(test);
+    if (isOversized(box)) {
+      for (const id of boxes.keys()) test(id);
+      return out;
+    }
+    eachCell(box, (key) => {
+      for (const id of cells.get(key) ?? []) if (!out.has(id)) test(id);
+    });
+    return out;
+  };
+
+  return { insert, remove, search };
+}
+
+export function coordsBBox(coords) {
+  let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+  for (const [x, y] of coords) {
+    if (x < w) w = x; if (x > e) e = x;
+    if (y < s) s = y; if (y > n) n = y;
+  }
+  return w === Infinity ? null : [w, s, e, n];
+}
+
+const featureIndexes = new WeakMap();
+
+/*
+ * The index over a (read-only) FeatureCollection or feature array, built
+ * on first use and cached per object, so every thumbnail over the same
+ * network, and every snap against the same suggestions, shares one. Edits
+ * produce new objects and so new indexes.
+ */
+export function indexFeatures(fc) {
+  let entry = featureIndexes.get(fc);
+  if (!entry) {
+    const features = Array.isArray(fc) ? fc : fc.features;
+    const index = createGridIndex();
+    features.forEach((f, i) => index.insert(i, geometryBBox(f?.geometry)));
+    entry = { index, features };
+    featureIndexes.set(fc, entry);
+  }
+  return entry;
+}
+
+// Features of `fc` whose bbox intersects `box`, in collection order.
+export function featuresInBBox(fc, box) {
+  if (!Array.isArray(fc) && !fc?.features) return [];
+  const { index, features } = indexFeatures(fc);
+  return [...index.search(box)].sort((a, b) => a - b).map((i) => features[i]);
+}
+
+// Lng/lat bbox covering screen points, e.g. a lasso or a pick radius. All
+// corners are unprojected since the map may be rotated or pitched.
+export function screenBBox(map, points) {
+  const xs = points.map(([x]) => x), ys = points.map(([, y]) => y);
+  const x0 = Math.min(...xs), x1 = Math.max(...xs), y0 = Math.min(...ys), y1 = Math.max(...ys);
+  const corners = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]].map((c) => map.unproject(c));
+  return [
+    Math.min(...corners.map((c) => c.lng)), Math.min(...corners.map((c) => c.lat)),
+    Math.max(...corners.map((c) => c.lng)), Math.max(...corners.map((c) => c.lat)),
+  ];
+}
@@ -0,0 +1,63 @@
+let worker = null;
+let nextId = 1;
+const pending = new Map();
+
+// Loads in flight, for the progress indicator.
+const loads = new Map();
+const listeners = new Set();
+let loadList = [];
+
+function publish() {
+  loadList = [...loads.values()];
+  for (const fn of listeners) fn();
+}
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./dataLayer.worker.js", import.meta.url), { type: "module" });
+  worker.onmessage = ({ data: msg }) => {
+    const req = pending.get(msg.id);
+    if (!req) return;
+    if (msg.progress) {
+      req.onProgress?.(msg.progress);
+      return;
+    }
+    pending.delete(msg.id);
+    if (msg.error) req.reject(new Error(msg.error));
+    else req.resolve(msg.result);
+  };
+  worker.onerror = (e) => {
+    for (const req of pending.values()) req.reject(new Error(e.message || "Data worker failed"));
+    pending.clear();
+  };
+  return worker;
+}
+
+export function request(type, payload = null, onProgress = null) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, type, payload });
+  });
+}
+
+// Like `request`, but listed in the loading indicator under `label` until
+// it settles.
+export function trackLoad(label, type, payload = null) {
+  loads.set(label, { label, phase: "download", loaded: 0, total: 0 });
+  publish();
+  return request(type, payload, (p) => {
+    loads.set(label, { label, ...p });
+    publish();
+  }).finally(() => {
+    loads.delete(label);
+    publish();
+  });
+}
+
+export function subscribeLoads(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export const getLoads = () => loadList;
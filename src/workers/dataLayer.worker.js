@@ -0,0 +1,120 @@
+import { parseNetwork, buildCaches } from "../utils/networkGraph";
+import { featuresInBBox, indexFeatures } from "../utils/spatialIndex";
+import { tileToLngLatBounds } from "../utils/tileUtils";
+
+const PROGRESS_MS = 100;
+
+// The network as last loaded, which thumbnails are clipped from.
+let network = null;
+
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Fetches a file reporting bytes as they arrive. `total` is 0 when the
+// server sends no Content-Length.
+async function download(url, progress) {
+  const res = await fetch(`${url}?t=${Date.now()}`);
+  if (!res.ok) throw new Error(`Failed to fetch ${url.slice(1)}: ${res.status}`);
+  const total = Number(res.headers.get("Content-Length")) || 0;
+  if (!res.body) return res.arrayBuffer();
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let loaded = 0, last = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    if (Date.now() - last > PROGRESS_MS) {
+      last = Date.now();
+      progress({ phase: "download", loaded, total });
+    }
+  }
+  const out = new Uint8Array(loaded);
+  let pos = 0;
+  for (const c of chunks) { out.set(c, pos); pos += c.length; }
+  return out.buffer;
+}
+
+async function fetchNetwork(progress) {
+  const buffer = await download("/network.geojson", progress);
+  progress({ phase: "parse" });
+  // Hash of the exact bytes, which the save endpoint compares against the
+  // file on disk to detect stale saves.
+  const version = await sha256Hex(buffer);
+  return { data: JSON.parse(new TextDecoder().decode(buffer)), version };
+}
+
+function parseSuggestions(fc) {
+  const byTile = new Map();
+  for (const feature of fc.features) {
+    const { tile_id, n_suggestion } = feature.properties;
+    if (!byTile.has(tile_id)) byTile.set(tile_id, new Map());
+    const byN = byTile.get(tile_id);
+    if (!byN.has(n_suggestion)) byN.set(n_suggestion, []);
+    byN.get(n_suggestion).push(feature);
+  }
+  return byTile;
+}
+
+// Network lines crossing a tile as SVG polyline points in a size × size box.
+function tileLines(fc, { x, y, z }, size) {
+  const [west, south, east, north] = tileToLngLatBounds(x, y, z);
+  const geoW = east - west;
+  const geoH = north - south;
+  const lines = [];
+  for (const f of featuresInBBox(fc, [west, south, east, north])) {
+    if (!f.geometry.type.endsWith("LineString")) continue;
+    const parts = f.geometry.type === "LineString" ? [f.geometry.coordinates] : f.geometry.coordinates;
+    for (const part of parts) {
+      let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+      for (const [lon, lat] of part) {
+        if (lon < minX) minX = lon; if (lon > maxX) maxX = lon;
+        if (lat < minY) minY = lat; if (lat > maxY) maxY = lat;
+      }
+      if (maxX < west || minX > east || maxY < south || minY > north) continue;
+      lines.push(part.map(([lon, lat]) =>
+        `${(((lon - west) / geoW) * size).toFixed(1)},${(((north - lat) / geoH) * size).toFixed(1)}`
+      ).join(" "));
+    }
+  }
+  return lines;
+}
+
+const HANDLERS = {
+  fetchNetwork: (_, progress) => fetchNetwork(progress),
+
+  // The file plus the editor's graph and map caches, so none of that
+  // work happens on the main thread.
+  async loadNetwork(_, progress) {
+    const { data, version } = await fetchNetwork(progress);
+    progress({ phase: "graph" });
+    const net = parseNetwork(data);
+    const caches = buildCaches(net);
+    // Built here so the first thumbnail's clipTile does not pay for it.
+    progress({ phase: "index" });
+    indexFeatures(data);
+    network = data;
+    return { data, version, prepared: { net, caches } };
+  },
+
+  async loadSuggestions(_, progress) {
+    const buffer = await download("/polygons.geojson", progress);
+    progress({ phase: "parse" });
+    return parseSuggestions(JSON.parse(new TextDecoder().decode(buffer)));
+  },
+
+  clipTile: ({ tile, size }) => (network ? tileLines(network, tile, size) : []),
+};
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  const progress = (p) => self.postMessage({ id, progress: p });
+  try {
+    self.postMessage({ id, result: await HANDLERS[type](payload, progress) });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message ?? String(err) });
+  }
+};
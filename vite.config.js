@@ -2,36 +2,152 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import fs from "node:fs";
 import path from "node:path";
+import crypto from "node:crypto";
+
+const NETWORK_PATH = path.resolve("public", "network.geojson");
+const HISTORY_DIR  = path.resolve("public", "network-history");
+const SNAPSHOT_ID  = /^[\w-]+$/;
+
+function sendJSON(res, data) {
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(data));
+}
+
+// Hash of the exact bytes on disk; the editor hashes what it fetched the
+// same way, so equal values mean it edited the current file.
+function fileVersion(file) {
+  if (!fs.existsSync(file)) return null;
+  return crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+// Each snapshot is a copy of the network plus a small JSON sidecar with its
+// metadata. server.py writes the same layout after inference runs.
+function listSnapshots() {
+  if (!fs.existsSync(HISTORY_DIR)) return [];
+  return fs.readdirSync(HISTORY_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, f), "utf-8"));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function writeSnapshot(text, { description, source, edits = null }) {
+  fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt.replace(/[:.]/g, "-")}-${source}`;
+  const features = JSON.parse(text).features?.length ?? 0;
+  const meta = { id, createdAt, description, source, edits, features };
+  fs.writeFileSync(path.join(HISTORY_DIR, `${id}.geojson`), text, "utf-8");
+  fs.writeFileSync(path.join(HISTORY_DIR, `${id}.json`), JSON.stringify(meta), "utf-8");
+  return meta;
+}
+
+// The file as it was before anything recorded history, so the first save
+// never destroys the only copy.
+function ensureBaseline() {
+  if (listSnapshots().length > 0 || !fs.existsSync(NETWORK_PATH)) return;
+  writeSnapshot(fs.readFileSync(NETWORK_PATH, "utf-8"), { description: "Initial network", source: "baseline" });
+}
 
 function saveNetworkPlugin() {
   return {
     name: "save-network",
     configureServer(server) {
-      server.middlewares.use("/api/save-network", (req, res, next) => {
+      server.middlewares.use("/api/save-network", async (req, res, next) => {
         if (req.method !== "POST") return next();
 
-        let body = "";
-        req.on("data", (chunk) => (body += chunk));
-        req.on("end", () => {
-          try {
-            const geojson = JSON.parse(body);
-            if (geojson.type !== "FeatureCollection" || !Array.isArray(geojson.features)) {
-              res.statusCode = 400;
-              res.end("Invalid GeoJSON: expected a FeatureCollection");
-              return;
-            }
-
-            const outPath = path.resolve("public", "network.geojson");
-            fs.writeFileSync(outPath, JSON.stringify(geojson), "utf-8");
-
-            res.setHeader("Content-Type", "application/json");
-            res.end(JSON.stringify({ ok: true, features: geojson.features.length }));
-          } catch (err) {
-            console.error("Save network error:", err);
-            res.statusCode = 500;
-            res.end(String(err));
+        try {
+          const body = JSON.parse(await readBody(req));
+          // Older clients post the FeatureCollection directly.
+          const geojson = body.type === "FeatureCollection" ? body : body.network;
+          if (geojson?.type !== "FeatureCollection" || !Array.isArray(geojson.features)) {
+            res.statusCode = 400;
+            res.end("Invalid GeoJSON: expected a FeatureCollection");
+            return;
+          }
+
+          // Something else (usually an inference run) rewrote the file since
+          // the editor loaded it; let the client merge instead of clobbering.
+          const current = fileVersion(NETWORK_PATH);
+          if (body.baseVersion && current && body.baseVersion !== current) {
+            res.statusCode = 409;
+            sendJSON(res, { conflict: true, version: current });
+            return;
+          }
+
+          const text = JSON.stringify(geojson);
+          ensureBaseline();
+          fs.writeFileSync(NETWORK_PATH, text, "utf-8");
+          const snapshot = writeSnapshot(text, {
+            description: String(body.description || "Editor save").slice(0, 200),
+            source:      "editor",
+            edits:       body.edits ?? null,
+          });
+
+          sendJSON(res, { ok: true, features: geojson.features.length, snapshot, version: fileVersion(NETWORK_PATH) });
+        } catch (err) {
+          console.error("Save network error:", err);
+          res.statusCode = 500;
+          res.end(String(err));
+        }
+      });
+
+      // GET /                → snapshot metadata, newest first
+      // GET /:id             → the snapshot's GeoJSON
+      // POST /:id/revert     → make it the current network (recorded as a new snapshot)
+      server.middlewares.use("/api/network-history", async (req, res) => {
+        try {
+          const [id, action] = req.url.split("?")[0].split("/").filter(Boolean);
+
+          if (!id && req.method === "GET") {
+            sendJSON(res, listSnapshots());
+            return;
+          }
+
+          const file = id && SNAPSHOT_ID.test(id) ? path.join(HISTORY_DIR, `${id}.geojson`) : null;
+          if (!file || !fs.existsSync(file)) {
+            res.statusCode = 404;
+            res.end("Snapshot not found");
+            return;
+          }
+
+          if (!action && req.method === "GET") {
+            res.setHeader("Content-Type", "application/geo+json");
+            res.end(fs.readFileSync(file, "utf-8"));
+          } else if (action === "revert" && req.method === "POST") {
+            const from = JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, `${id}.json`), "utf-8"));
+            const text = fs.readFileSync(file, "utf-8");
+            ensureBaseline();
+            fs.writeFileSync(NETWORK_PATH, text, "utf-8");
+            const snapshot = writeSnapshot(text, {
+              description: `Reverted to "${from.description}"`,
+              source:      "revert",
+            });
+            sendJSON(res, { ok: true, snapshot });
+          } else {
+            res.statusCode = 405;
+            res.end("Method not allowed");
           }
-        });
+        } catch (err) {
+          console.error("Network history error:", err);
+          res.statusCode = 500;
+          res.end(String(err));
+        }
       });
     },
   };
@@ -55,4 +171,4 @@ export default defineConfig({
       },
     },
   },
-});
\ No newline at end of file
+});